@@ -2,8 +2,18 @@
  * ════════════════════════════════════════════
  * INFINIVERSAL · app.js
  * PWA offline para poetas y compositores
- * Módulos: Storage, Notes, Editor, Syllables,
- *          Tutorial, Install, Settings, Share
+ * Módulos: Storage, Notes, DocModel, EditorCore,
+ *          Editor, Syllables,
+ *          Rhyme, RhymeDictionary, RhymePanel,
+ *          Structures, PoemModel, SyllableOverlay,
+ *          MetricGutter, Chords, ChordView, Diff,
+ *          Revisions, AudioMemos, AudioPanel,
+ *          TextTools, Search,
+ *          SongStructure, SongPanel, Performance,
+ *          Notebooks, Setlists, SetlistModal,
+ *          Tutorial, Install, Settings,
+ *          HistoryModal, Share, Zip, Files, Backup,
+ *          ChordPro, Markdown, Book, Toast
  * ════════════════════════════════════════════
  */
 
@@ -11,29 +21,249 @@
 
 /* ══════════════════════════════════════════
    MÓDULO: STORAGE
-   Gestión de datos con localStorage
+   Notas en IndexedDB (un registro por nota,
+   con caché en memoria para lecturas síncronas),
+   su historial de versiones y sus audios.
+   Ajustes, estructuras, cuadernos y setlists
+   en localStorage.
 ══════════════════════════════════════════ */
 const Storage = (() => {
-  const NOTES_KEY    = 'infiniversal_notes';
+  const DB_NAME      = 'infiniversal';
+  const DB_VERSION   = 3;
+  const NOTES_KEY    = 'infiniversal_notes';   // formato antiguo: se importa en la migración 1
   const SETTINGS_KEY = 'infiniversal_settings';
   const FIRST_KEY    = 'infiniversal_first_run';
+  const STRUCTS_KEY  = 'infiniversal_structures';
+  const BOOKS_KEY    = 'infiniversal_notebooks';
+  const SETS_KEY     = 'infiniversal_setlists';
 
   const defaults = {
     theme:      'dark',
     zoom:       1,
     richText:   false,
     metric:     false,
+    lang:       'es',
+    sort:       'updated',   // 'updated' | 'created' | 'title' | 'manual'
+    perfSpeed:  30,          // modo actuación: píxeles por segundo
     firstRun:   true
   };
 
-  function getAllNotes() {
+  let db    = null;        // null → sin IndexedDB, se usa localStorage
+  let notes = new Map();   // caché id → nota
+  let ready = null;        // promesa de init(): las escrituras esperan a que termine
+  let closed = false;      // otra pestaña actualizó la base: esta ya no puede guardar
+  const closedListeners = [];
+
+  /**
+   * Migraciones del esquema: MIGRATIONS[v] lleva la base de la versión v a la v+1.
+   * Se ejecutan en orden dentro de la transacción de onupgradeneeded.
+   */
+  const MIGRATIONS = [
+    // v1: almacén de notas con índices + importación única desde localStorage
+    (database, tx) => {
+      const store = database.createObjectStore('notes', { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt');
+      store.createIndex('type',      'type');
+      store.createIndex('favorite',  'favKey');
+      store.createIndex('tags',      'tags', { multiEntry: true });
+      legacyNotes().forEach(n => store.put(toRecord(n)));
+    },
+    // v2: historial de versiones de cada nota
+    database => {
+      const store = database.createObjectStore('revisions', { keyPath: 'id' });
+      store.createIndex('noteId', 'noteId');
+    },
+    // v3: audios adjuntos ({ id, noteId, blob }); la nota guarda solo sus datos
+    database => {
+      const store = database.createObjectStore('attachments', { keyPath: 'id' });
+      store.createIndex('noteId', 'noteId');
+    }
+  ];
+
+  /** Notas de localStorage; a las muy antiguas sin id se les da uno para que quepan en la base */
+  function legacyNotes() {
     try {
-      return JSON.parse(localStorage.getItem(NOTES_KEY)) || [];
+      const list = JSON.parse(localStorage.getItem(NOTES_KEY));
+      return (Array.isArray(list) ? list : [])
+        .filter(n => n && typeof n === 'object')
+        .map(n => (typeof n.id === 'string' && n.id ? n : { ...n, id: NotesManager.newId() }));
     } catch { return []; }
   }
 
-  function saveNotes(notes) {
-    localStorage.setItem(NOTES_KEY, JSON.stringify(notes));
+  // IndexedDB no indexa booleanos: favKey guarda el favorito como 0/1
+  function toRecord(note) { return { ...note, favKey: note.favorite ? 1 : 0 }; }
+
+  function fromRecord(rec) {
+    const { favKey, ...note } = rec;
+    return note;
+  }
+
+  function clone(note) { return structuredClone(note); }
+
+  /** Avisa al usuario de un fallo de escritura (cuota llena incluida) */
+  function report(err) {
+    console.warn('[Storage] error al guardar:', err);
+    const full = err && (err.name === 'QuotaExceededError' || err.code === 22);
+    Toast.show(full
+      ? 'No se pudo guardar: el almacenamiento del navegador está lleno. Libera espacio para seguir guardando.'
+      : 'No se pudo guardar la nota. Tus últimos cambios podrían perderse.', { error: true });
+  }
+
+  function reportClosed() {
+    Toast.show('Infiniversal se actualizó en otra pestaña. Recarga esta para seguir guardando.',
+      { error: true, duration: 600000 });
+  }
+
+  /** Avisa cuando la base se cierra por una actualización en otra pestaña */
+  function onClosed(fn) {
+    closedListeners.push(fn);
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = e => {
+        for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+      req.onblocked = () => console.warn('[Storage] otra pestaña bloquea la actualización de la base');
+    });
+  }
+
+  /** Abre la base y carga las notas en caché. Si IndexedDB falla, sigue con localStorage. */
+  function init() {
+    if (!ready) ready = load();
+    return ready;
+  }
+
+  async function load() {
+    // Notas creadas mientras arrancaba la app: se conservan sobre lo cargado
+    const early = notes;
+    try {
+      if (!window.indexedDB) throw new Error('IndexedDB no disponible');
+      db = await openDB();
+      // Otra pestaña con una versión más nueva: cerrar para no bloquearla.
+      // No se pasa a localStorage: los cambios quedarían fuera de la base nueva
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+        closed = true;
+        reportClosed();
+        closedListeners.forEach(fn => fn());
+      };
+      const records = await request(db.transaction('notes').objectStore('notes').getAll());
+      notes = new Map(records.map(r => [r.id, fromRecord(r)]));
+    } catch (err) {
+      console.warn('[Storage] se usa localStorage:', err);
+      db = null;
+      notes = new Map(legacyNotes().map(n => [n.id, n]));
+    }
+    early.forEach((n, id) => notes.set(id, n));
+  }
+
+  /**
+   * Ejecuta una escritura en un almacén; resuelve false si se abortó.
+   * Sin IndexedDB solo las notas tienen respaldo (en localStorage).
+   */
+  async function write(fn, storeName = 'notes') {
+    await init();
+    if (closed) { reportClosed(); return false; }
+    if (!db) return storeName === 'notes' ? writeLegacy() : false;
+    return new Promise(resolve => {
+      let tx;
+      try {
+        tx = db.transaction(storeName, 'readwrite');
+        fn(tx.objectStore(storeName));
+      } catch (err) {
+        // Conexión cerrada o dato que no se puede clonar: se descarta lo que ya se hubiera escrito
+        try { if (tx) tx.abort(); } catch { /* ya terminada */ }
+        report(err);
+        resolve(false);
+        return;
+      }
+      tx.oncomplete = () => resolve(true);
+      tx.onabort    = () => { report(tx.error); resolve(false); };
+    });
+  }
+
+  function writeLegacy() {
+    try {
+      localStorage.setItem(NOTES_KEY, JSON.stringify([...notes.values()]));
+      return true;
+    } catch (err) {
+      report(err);
+      return false;
+    }
+  }
+
+  function getAllNotes() {
+    return [...notes.values()].map(clone);
+  }
+
+  function getNote(id) {
+    return notes.has(id) ? clone(notes.get(id)) : null;
+  }
+
+  function saveNote(note) {
+    notes.set(note.id, clone(note));
+    return write(store => store.put(toRecord(note)));
+  }
+
+  function deleteNote(id) {
+    notes.delete(id);
+    return write(store => store.delete(id));
+  }
+
+  /** Versiones guardadas de una nota, de la más reciente a la más antigua */
+  async function getRevisions(noteId) {
+    await init();
+    if (!db) return [];
+    const index = db.transaction('revisions').objectStore('revisions').index('noteId');
+    const list  = await request(index.getAll(noteId));
+    return list.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function saveRevision(rev) {
+    return write(store => store.put(rev), 'revisions');
+  }
+
+  function deleteRevisions(ids) {
+    return write(store => ids.forEach(id => store.delete(id)), 'revisions');
+  }
+
+  /** Audio adjunto { id, noteId, blob } o null (sin IndexedDB no hay audios) */
+  async function getAttachment(id) {
+    await init();
+    if (!db) return null;
+    return (await request(db.transaction('attachments').objectStore('attachments').get(id))) || null;
+  }
+
+  async function getAttachments(noteId) {
+    await init();
+    if (!db) return [];
+    return request(db.transaction('attachments').objectStore('attachments').index('noteId').getAll(noteId));
+  }
+
+  function saveAttachment(rec) {
+    return write(store => store.put(rec), 'attachments');
+  }
+
+  function deleteAttachments(ids) {
+    return write(store => ids.forEach(id => store.delete(id)), 'attachments');
+  }
+
+  function setItem(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) { report(err); }
   }
 
   function getSettings() {
@@ -42,8 +272,42 @@ const Storage = (() => {
     } catch { return { ...defaults }; }
   }
 
+  function defaultSettings() {
+    return { ...defaults };
+  }
+
   function saveSettings(s) {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+    setItem(SETTINGS_KEY, s);
+  }
+
+  function getStructures() {
+    try {
+      return JSON.parse(localStorage.getItem(STRUCTS_KEY)) || [];
+    } catch { return []; }
+  }
+
+  function saveStructures(list) {
+    setItem(STRUCTS_KEY, list);
+  }
+
+  function getNotebooks() {
+    try {
+      return JSON.parse(localStorage.getItem(BOOKS_KEY)) || [];
+    } catch { return []; }
+  }
+
+  function saveNotebooks(list) {
+    setItem(BOOKS_KEY, list);
+  }
+
+  function getSetlists() {
+    try {
+      return JSON.parse(localStorage.getItem(SETS_KEY)) || [];
+    } catch { return []; }
+  }
+
+  function saveSetlists(list) {
+    setItem(SETS_KEY, list);
   }
 
   function isFirstRun() {
@@ -54,48 +318,447 @@ const Storage = (() => {
     localStorage.setItem(FIRST_KEY, 'done');
   }
 
-  return { getAllNotes, saveNotes, getSettings, saveSettings, isFirstRun, markFirstRun };
+  return {
+    init, onClosed, getAllNotes, getNote, saveNote, deleteNote,
+    getRevisions, saveRevision, deleteRevisions,
+    getAttachment, getAttachments, saveAttachment, deleteAttachments,
+    getSettings, saveSettings, defaultSettings, getStructures, saveStructures,
+    getNotebooks, saveNotebooks, getSetlists, saveSetlists,
+    isFirstRun, markFirstRun
+  };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: TEXT TOOLS
+   Utilidades de texto compartidas
+══════════════════════════════════════════ */
+const TextTools = (() => {
+  /** Texto con saltos de línea a partir del HTML del editor */
+  function fromHTML(html) {
+    const doc = new DOMParser().parseFromString(`<div>${html || ''}</div>`, 'text/html');
+    const lines = [''];
+    (function walk(node) {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) { lines[lines.length - 1] += child.textContent; return; }
+        if (child.nodeName === 'BR') { lines.push(''); return; }
+        const block = child.nodeName === 'DIV' || child.nodeName === 'P';
+        if (block && lines[lines.length - 1] !== '') lines.push('');
+        walk(child);
+        if (block && lines[lines.length - 1] !== '') lines.push('');
+      });
+    })(doc.body.firstChild);
+    return lines.join('\n').replace(/\n+$/, '');
+  }
+
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+  }
+
+  // Lo único que produce el editor: líneas, saltos, negrita, cursiva y subrayado
+  // (más los marcadores de sección). Otros bloques se convierten en líneas.
+  const ALLOWED = { DIV: 'div', BR: 'br', B: 'b', STRONG: 'b', I: 'i', EM: 'i', U: 'u' };
+  const BLOCKS  = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'BLOCKQUOTE', 'PRE', 'TR',
+    'SECTION', 'ARTICLE', 'HEADER', 'FOOTER']);
+  const DROPPED = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'EMBED',
+    'TITLE', 'HEAD', 'META', 'LINK', 'SVG', 'MATH', 'TEXTAREA', 'SELECT']);
+
+  /**
+   * HTML de cualquier origen (pegado, importado, guardado) → solo las
+   * etiquetas permitidas y sin atributos. Las demás se quitan conservando
+   * su texto; las de código o incrustaciones se quitan enteras.
+   */
+  function sanitizeHTML(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const out = doc.createElement('div');
+    (function copy(from, to) {
+      from.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) { to.appendChild(doc.createTextNode(child.textContent)); return; }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        const name = child.nodeName.toUpperCase();
+        if (DROPPED.has(name)) return;
+        if (name === 'SPAN' && child.classList.contains('song-section-marker')) {
+          const marker = doc.createElement('span');
+          marker.className   = 'song-section-marker';
+          marker.textContent = child.textContent;
+          to.appendChild(marker);
+          return;
+        }
+        const tag = ALLOWED[name] || (BLOCKS.has(name) ? 'div' : null);
+        if (!tag) { copy(child, to); return; }
+        const el = doc.createElement(tag);
+        to.appendChild(el);
+        if (tag !== 'br') copy(child, el);
+      });
+    })(doc.body, out);
+    return out.innerHTML;
+  }
+
+  /** Segundos → "m:ss" */
+  function formatDuration(sec) {
+    const s = Math.round(sec);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  /** "3:25" o "205" → segundos; null si no se entiende */
+  function parseDuration(str) {
+    const m = /^\s*(?:(\d+):)?(\d+)\s*$/.exec(str || '');
+    if (!m) return null;
+    const sec = (m[1] ? +m[1] * 60 : 0) + +m[2];
+    return sec > 0 ? sec : null;
+  }
+
+  return { fromHTML, escapeHTML, sanitizeHTML, formatDuration, parseDuration };
 })();
 
 
 /* ══════════════════════════════════════════
    MÓDULO: SYLLABLES
-   Contador de sílabas en español
+   Contador de sílabas multilingüe
    (algoritmo basado en reglas fonológicas)
+   Cómputo gramatical y métrico: sinalefa,
+   hiato, triptongos y ley del acento final.
+   Un motor por idioma: es, en, pt, it, ca
 ══════════════════════════════════════════ */
 const Syllables = (() => {
-  const VOWELS = 'aeiouáéíóúüAEIOUÁÉÍÓÚÜ';
-  const DIPHTHONGS = ['ai','au','ei','eu','oi','ou','ia','ie','io','iu','ua','ue','ui','uo',
-                      'ái','áu','éi','éu','ói','íu','úi','iá','ié','ió','iú','uá','ué','uó'];
+  // Tipos rítmicos del endecasílabo español, en orden de preferencia
+  const RHYTHMS_ES = {
+    11: [
+      { name: 'enfático',         stresses: [1, 6] },
+      { name: 'heroico',          stresses: [2, 6] },
+      { name: 'melódico',         stresses: [3, 6] },
+      { name: 'sáfico',           stresses: [4, 8] },
+      { name: 'de gaita gallega', stresses: [4, 7] }
+    ]
+  };
+
+  /* ── Reglas comunes a las lenguas románicas ── */
+
+  /** La "u" muda de que/qui/gue/gui no cuenta como vocal */
+  function silentU(word, i) {
+    const prev = word[i-1], next = word[i+1] || '';
+    return prev === 'q' || (prev === 'g' && !!next && 'eiéíèì'.includes(next));
+  }
+
+  function romanceMask(vowels) {
+    return word => [...word].map((c, i) => vowels.includes(c) && !(c === 'u' && silentU(word, i)));
+  }
+
+  /** Hiato si ambas son fuertes o es la misma débil (chiita); las débiles con tilde son fuertes */
+  function romanceHiatus(strong) {
+    return (word, a, b) => {
+      const x = word[a] === 'y' ? 'i' : word[a];
+      const y = word[b] === 'y' ? 'i' : word[b];
+      if (strong.includes(x) && strong.includes(y)) return true;
+      return x === y;
+    };
+  }
+
+  /**
+   * En portugués y catalán los diptongos crecientes (ia, ie, ua...) se
+   * separan (di-a, grà-ci-a) salvo tras q/g (quan, guarda); los
+   * decrecientes (ai, eu, ou...) sí forman diptongo.
+   */
+  function fallingOnly(strong, weak) {
+    const base = romanceHiatus(strong);
+    return (word, a, b) => {
+      if (base(word, a, b)) return true;
+      return weak.includes(word[a]) && strong.includes(word[b]) && !'qg'.includes(word[a-1] || '_');
+    };
+  }
+
+  const ptHiatus = fallingOnly('aeoáéóâêôãõàíú', 'iuü');
+
+  /* ── Motores ── */
+
+  /**
+   * Cada motor define:
+   * - vowels, accented: vocales y vocales con tilde (la tilde marca la tónica)
+   * - vowelMask(word): qué letras funcionan como vocal
+   * - isHiatus(word, a, b): si dos vocales contiguas se separan
+   * - defaultStress(word, ns): índice de la sílaba tónica cuando no hay tilde
+   * - elision: hay sinalefa entre palabras (glideBlocksElision: no tras diptongo decreciente)
+   * - toLastStress: la medida acaba en la última tónica (pt, ca) en lugar de sumar/restar
+   * - stressKnown: false si no se puede deducir el acento (inglés)
+   * - digraphs: letras dobles que no se separan al silabear
+   * - atonic, rhythms, required: ritmo acentual
+   */
+  const ENGINES = {
+    es: {
+      vowels:   'aeiouáéíóúü',
+      accented: 'áéíóú',
+      vowelMask(word) {
+        return [...word].map((c, i) => {
+          // La "y" final tras vocal (hoy, rey, muy) y la conjunción "y" sí cuentan
+          if (c === 'y') return word === 'y' || (i === word.length - 1 && i > 0 && 'aeiouáéíóúü'.includes(word[i-1]));
+          return 'aeiouáéíóúü'.includes(c) && !(c === 'u' && silentU(word, i));
+        });
+      },
+      isHiatus: romanceHiatus('aeoáéóíú'),
+      defaultStress(word, ns) {
+        // Sin tilde: llana si termina en vocal, n o s; aguda en el resto
+        return (ns.length > 1 && /[aeiouns]$/.test(word)) ? ns.length - 2 : ns.length - 1;
+      },
+      elision: true,
+      digraphs: ['ch', 'll', 'rr', 'qu', 'gu'],
+      // Artículos, preposiciones, conjunciones, posesivos antepuestos,
+      // pronombres clíticos y relativos sin tilde
+      atonic: [
+        'el','la','lo','los','las','un','al','del',
+        'a','ante','con','contra','de','desde','en','entre','hacia','hasta','para','por','sin','so','sobre','tras',
+        'y','e','ni','o','u','que','si','pero','mas','aunque','pues','porque',
+        'mi','tu','su','mis','tus','sus','nuestro','nuestra','vuestro','vuestra',
+        'me','te','se','nos','os','le','les',
+        'como','cuando','donde','cuanto','quien','cual'
+      ],
+      rhythms:  RHYTHMS_ES,
+      required: { 11: [[6, 10], [4, 8, 10]], 12: [[5, 11]], 14: [[6, 13]] }
+    },
+
+    it: {
+      vowels:   'aeiouàèéìíòóù',
+      accented: 'àèéìíòóù',
+      vowelMask: romanceMask('aeiouàèéìíòóù'),
+      isHiatus:  romanceHiatus('aeoàèéòóìíù'),
+      // Llanas salvo las truncadas en consonante (cammin, amor, cuor)
+      defaultStress: (word, ns) => (/[aeiou]$/.test(word) ? Math.max(0, ns.length - 2) : ns.length - 1),
+      elision: true,
+      digraphs: ['ch', 'gh', 'gn', 'gl', 'sc', 'qu', 'gu'],
+      sImpura: true,   // la "s" ante consonante pasa a la sílaba siguiente: pa-sta
+      atonic: [
+        'il','lo','la','i','gli','le','un','uno','una','del','della','dei','al','alla','nel','nella',
+        'di','a','da','in','con','su','per','tra','fra','e','ed','o','ma','che','se',
+        'mi','ti','si','ci','vi','ne','mio','tuo','suo'
+      ],
+      rhythms:  { 11: [{ name: 'a maiore', stresses: [6, 10] }, { name: 'a minore', stresses: [4, 10] }] },
+      required: { 11: [[6, 10], [4, 10]] }
+    },
+
+    pt: {
+      vowels:   'aeiouáéíóúâêôãõàü',
+      accented: 'áéíóúâêô',
+      vowelMask: romanceMask('aeiouáéíóúâêôãõàü'),
+      isHiatus(word, a, b) {
+        // Diptongos nasales: mãe, pão, põe
+        if ('ãõ'.includes(word[a]) && 'eo'.includes(word[b])) return false;
+        return ptHiatus(word, a, b);
+      },
+      defaultStress(word, ns) {
+        // La vocal nasal final es tónica si no hay otra tilde: irmã, coração
+        const nasal = ns.findIndex(n => /[ãõ]/.test(word.slice(n.start, n.end + 1)));
+        if (nasal >= 0) return nasal;
+        return (ns.length > 1 && /([aeo]s?|am|em|ens)$/.test(word)) ? ns.length - 2 : ns.length - 1;
+      },
+      elision: true,
+      toLastStress: true,
+      digraphs: ['ch', 'lh', 'nh', 'qu', 'gu'],
+      atonic: [
+        'o','a','os','as','um','uma','de','do','da','dos','das','em','no','na','nos','nas','ao','à',
+        'por','para','com','sem','e','ou','que','se','me','te','lhe','nem','mas','meu','teu','seu'
+      ],
+      rhythms:  { 10: [{ name: 'heroico', stresses: [6, 10] }, { name: 'sáfico', stresses: [4, 8, 10] }] },
+      required: { 10: [[6, 10], [4, 8, 10]] }
+    },
+
+    ca: {
+      vowels:   'aeiouàèéíòóúïü',
+      accented: 'àèéíòóú',
+      vowelMask: romanceMask('aeiouàèéíòóúïü'),
+      // La diéresis marca hiato (veïna, raïm): la ï cuenta como fuerte
+      isHiatus: fallingOnly('aeoàèéòóíúï', 'iuü'),
+      defaultStress(word, ns) {
+        return (ns.length > 1 && /([aeiou]s?|en|in)$/.test(word)) ? ns.length - 2 : ns.length - 1;
+      },
+      elision: true,
+      toLastStress: true,
+      digraphs: ['ny', 'll', 'qu', 'gu', 'ix'],
+      glideBlocksElision: true,   // meu amic, noi alt: la semivocal final no se funde
+      atonic: [
+        'el','la','els','les','lo','un','una','del','dels','al','als','pel','pels',
+        'de','a','en','amb','per','sense','i','o','que','si','ni','però',
+        'em','et','es','ens','us','li','hi','ho','mon','ton','son','ma','ta','sa'
+      ],
+      rhythms:  {},
+      required: { 10: [[4, 10]] }
+    },
+
+    en: {
+      vowels:   'aeiouy',
+      accented: '',
+      vowelMask(word) {
+        const isV = i => 'aeiou'.includes(word[i]) || (word[i] === 'y' && i > 0 && !'aeiou'.includes(word[i+1] || '_'));
+        const others = i => [...word].some((c, j) => j < i && isV(j));
+        return [...word].map((c, i) => {
+          if (!isV(i)) return false;
+          if (c === 'u' && word[i-1] === 'q') return false;
+          if (c !== 'e' || !others(i)) return true;
+          const end = word.slice(i);
+          const prev = word[i-1];
+          // e final muda (love, time) salvo consonante + le (table)
+          if (end === 'e') return prev === 'l' && !'aeiouy'.includes(word[i-2] || 'a');
+          // -es muda salvo tras sibilante (roses, wishes) o consonante + les (tables)
+          if (end === 'es') return /(ch|sh|[sxzcg])es$/.test(word) || /[^aeiouy]les$/.test(word);
+          // -ed muda salvo tras t/d (wanted, needed)
+          if (end === 'ed') return 'td'.includes(prev);
+          return true;
+        });
+      },
+      isHiatus(word, a, b) {
+        const pair = word[a] + word[b];
+        if (/^ings?$/.test(word.slice(b))) return true;   // be-ing, go-ing
+        if (pair[0] === 'i' && 'cstxg'.includes(word[a-1] || '')) return false;   // na-tion, spe-cial
+        return ['ia', 'io', 'iu', 'ua', 'uo', 'oe'].includes(pair);
+      },
+      defaultStress: () => 0,
+      elision: false,
+      stressKnown: false,
+      digraphs: ['ch', 'sh', 'th', 'ph', 'wh', 'ck', 'ng', 'qu'],
+      atonic: [],
+      rhythms:  {},
+      required: {}
+    }
+  };
+
+  Object.values(ENGINES).forEach(e => { e.atonic = new Set(e.atonic); });
+
+  let lang   = 'es';
+  let engine = ENGINES.es;
+
+  /** Idioma con el que se cuentan las sílabas (el de la nota abierta) */
+  function setLanguage(code) {
+    lang   = ENGINES[code] ? code : 'es';
+    engine = ENGINES[lang];
+  }
+
+  function language() { return lang; }
+
+  function normalize(word) {
+    return (word || '').toLowerCase().normalize('NFC').replace(/[^\p{L}]/gu, '');
+  }
 
-  function isVowel(c) { return VOWELS.includes(c); }
+  /**
+   * Núcleos silábicos de una palabra: [{ start, end, accent }].
+   * Agrupa diptongos y triptongos, separa hiatos; la "h" entre vocales
+   * abre sílaba como cualquier consonante (a-hu-ma-do, pro-hi-bir).
+   */
+  function nuclei(word) {
+    word = normalize(word);
+    const mask = engine.vowelMask(word);
+    const out  = [];
+    let cur = null;
+    let lastVowel = -1;
+    for (let i = 0; i < word.length; i++) {
+      if (!mask[i]) {
+        cur = null;
+        continue;
+      }
+      if (cur && !engine.isHiatus(word, lastVowel, i)) {
+        cur.end = i;
+      } else {
+        cur = { start: i, end: i, accent: false };
+        out.push(cur);
+      }
+      if (engine.accented.includes(word[i])) cur.accent = true;
+      lastVowel = i;
+    }
+    return out;
+  }
 
   function countWord(word) {
     if (!word) return 0;
-    word = word.toLowerCase().normalize('NFC');
-    let count = 0;
-    let i = 0;
-    while (i < word.length) {
-      if (isVowel(word[i])) {
-        count++;
-        // Diptongo
-        if (i + 1 < word.length && isVowel(word[i+1])) {
-          const pair = word[i] + word[i+1];
-          if (DIPHTHONGS.includes(pair)) {
-            i++; // contar el diptongo como una sílaba
-          }
-        }
-      }
-      i++;
+    return Math.max(1, nuclei(word).length);
+  }
+
+  /**
+   * Acentuación de la palabra.
+   * Retorna { syllables, stressed (índice de sílaba desde 0), type }
+   * type: 'aguda' | 'llana' | 'esdrujula' | 'sobresdrujula'
+   */
+  function stress(word) {
+    const w  = normalize(word);
+    const ns = nuclei(w);
+    const total = Math.max(1, ns.length);
+    let idx = ns.findIndex(n => n.accent);
+    if (idx < 0) idx = ns.length ? engine.defaultStress(w, ns) : 0;
+    const fromEnd = total - 1 - idx;
+    const type = ['aguda', 'llana', 'esdrujula'][fromEnd] || 'sobresdrujula';
+    return { syllables: total, stressed: idx, type };
+  }
+
+  // Grupos consonánticos inseparables: pro-ble-ma, a-bra-zo ("tl" sí se separa: at-le-ta)
+  const CLUSTERS = new Set(['pr','br','tr','dr','cr','kr','gr','fr','pl','bl','cl','kl','gl','fl']);
+
+  /**
+   * Reparte las consonantes entre dos núcleos según la RAE:
+   * una → a la siguiente; dos → se separan salvo grupo inseparable;
+   * tres → la última pareja si es grupo, si no solo la última; cuatro → dos y dos.
+   * Los dígrafos del idioma (ch, ll, rr...) cuentan como una sola consonante.
+   * Retorna cuántas letras se quedan en la sílaba anterior.
+   */
+  function splitConsonants(run) {
+    const units = [];
+    for (let i = 0; i < run.length; i++) {
+      const pair = run.slice(i, i + 2);
+      if (engine.digraphs.includes(pair)) { units.push(pair); i++; }
+      else units.push(run[i]);
     }
-    return Math.max(1, count);
+    const cluster = (a, b) => !!b && CLUSTERS.has(a + b);
+    let keep;
+    if (units.length <= 1) keep = 0;
+    else if (engine.sImpura && units[0] === 's') keep = 0;
+    else if (units.length === 2) keep = cluster(units[0], units[1]) ? 0 : 1;
+    else if (units.length === 3) keep = cluster(units[1], units[2]) ? 1 : 2;
+    else keep = units.length - 2;
+    return units.slice(0, keep).join('').length;
+  }
+
+  /**
+   * Silabeo de una palabra: co-ra-zón.
+   * Retorna { syllables: ['co','ra','zón'], stressed } conservando mayúsculas;
+   * sin puntuación ni acordes.
+   */
+  function split(word) {
+    const letters = (word || '').normalize('NFC').replace(/[^\p{L}]/gu, '');
+    const w  = letters.toLowerCase();
+    const ns = nuclei(w);
+    if (ns.length < 2) return { syllables: letters ? [letters] : [], stressed: 0 };
+    const cuts = [];
+    for (let k = 0; k < ns.length - 1; k++) {
+      const from = ns[k].end + 1;
+      cuts.push(from + splitConsonants(w.slice(from, ns[k+1].start)));
+    }
+    const syllables = [0, ...cuts].map((c, k) => letters.slice(c, cuts[k] === undefined ? letters.length : cuts[k]));
+    return { syllables, stressed: stress(w).stressed };
+  }
+
+  /**
+   * Silabeo de un verso: análisis métrico más el silabeo de cada palabra.
+   * Retorna { ...analyzeLine(line), words: [{ text, syllables, stressed }] }
+   * con stressed = −1 en las palabras átonas (o en todas si no se conoce el acento).
+   */
+  function splitLine(line) {
+    const ws = stripChords(line).trim().split(/\s+/).filter(t => normalize(t));
+    return {
+      ...analyzeLine(line),
+      words: ws.map(text => {
+        const parts = split(text);
+        const atonic = engine.stressKnown === false || engine.atonic.has(normalize(text));
+        return { text, ...parts, stressed: atonic ? -1 : parts.stressed };
+      })
+    };
+  }
+
+  /** Quita los acordes en línea ([Am]) para no contarlos como sílabas */
+  function stripChords(text) {
+    return (text || '').replace(/\[[^\[\]\s]+\]/g, '');
   }
 
   function countText(text) {
+    text = stripChords(text);
     if (!text || !text.trim()) return 0;
     return text.trim().split(/\s+/).reduce((sum, w) => {
       // limpiar puntuación
-      const clean = w.replace(/[^a-záéíóúüñA-ZÁÉÍÓÚÜÑ]/g, '');
+      const clean = normalize(w);
       return sum + (clean ? countWord(clean) : 0);
     }, 0);
   }
@@ -104,6 +767,87 @@ const Syllables = (() => {
     return countText(line);
   }
 
+  function words(line) {
+    return stripChords(line).trim().split(/\s+/).map(normalize).filter(Boolean);
+  }
+
+  /** ¿Termina la palabra en vocal a efectos de sinalefa? */
+  function endsInVowel(w) {
+    if (engine.glideBlocksElision && /[aeiouàèéíòóú][iu]$/.test(w)) return false;
+    return w === 'y' || engine.vowels.includes(w[w.length - 1]);
+  }
+
+  /** ¿Empieza en vocal? La "h" muda cuenta; "hie-"/"hue-" (hielo, hueso) y la "y-" consonántica no */
+  function startsWithVowel(w) {
+    if (w === 'y') return true;
+    if (w[0] === 'h') return w.length > 1 && engine.vowels.includes(w[1]) && !/^h[iu][aeiouáéíóú]/.test(w);
+    return engine.vowels.includes(w[0]);
+  }
+
+  /**
+   * Análisis métrico de un verso.
+   * Retorna { grammatical, metric, sinalefas, stress, adjust } donde:
+   * - sinalefas: índices de palabra que se funden con la siguiente
+   * - stress: tipo de la última palabra (null si el idioma no permite deducirlo)
+   * - adjust: corrección por el acento final (+1 aguda, −1 esdrújula en es/it;
+   *   en pt/ca se cuenta hasta la última tónica)
+   */
+  function analyzeLine(line) {
+    const ws = words(line);
+    if (ws.length === 0) return { grammatical: 0, metric: 0, sinalefas: [], stress: null, adjust: 0 };
+    const grammatical = ws.reduce((sum, w) => sum + countWord(w), 0);
+    const sinalefas = [];
+    for (let i = 0; engine.elision && i < ws.length - 1; i++) {
+      // La conjunción "y" ante vocal es consonante (ro-sa-ya-zu-ce-na): no se funde con la anterior
+      if (lang === 'es' && ws[i+1] === 'y' && ws[i+2] && startsWithVowel(ws[i+2])) continue;
+      if (endsInVowel(ws[i]) && startsWithVowel(ws[i+1])) sinalefas.push(i);
+    }
+    if (engine.stressKnown === false) {
+      return { grammatical, metric: grammatical, sinalefas, stress: null, adjust: 0 };
+    }
+    const last = stress(ws[ws.length - 1]);
+    const fromEnd = last.syllables - 1 - last.stressed;
+    const adjust = engine.toLastStress ? -fromEnd : fromEnd === 0 ? 1 : fromEnd === 1 ? 0 : -1;
+    const metric = Math.max(1, grammatical - sinalefas.length + adjust);
+    return { grammatical, metric, sinalefas, stress: last.type, adjust };
+  }
+
+  function countMetric(line) {
+    return analyzeLine(line).metric;
+  }
+
+  /**
+   * Ritmo acentual de un verso.
+   * Retorna { metric, positions, type, missing }:
+   * - positions: sílabas métricas (desde 1) que llevan acento, sin contar palabras átonas
+   * - type: nombre del tipo rítmico ('sáfico'...) o null
+   * - missing: acentos obligatorios que faltan (la alternativa más cercana)
+   */
+  function rhythm(line) {
+    const { metric, sinalefas } = analyzeLine(line);
+    if (engine.stressKnown === false) return { metric, positions: [], type: null, missing: [] };
+    const ws = words(line);
+    const positions = [];
+    let pos = 0;
+    ws.forEach((w, i) => {
+      // Con sinalefa la primera sílaba se funde con la última de la palabra anterior
+      const start = sinalefas.includes(i - 1) ? pos : pos + 1;
+      if (!engine.atonic.has(w)) {
+        const p = start + stress(w).stressed;
+        if (!positions.includes(p)) positions.push(p);
+      }
+      pos = start + countWord(w) - 1;
+    });
+
+    // La última tónica cae en la penúltima sílaba métrica, o en la última en pt/ca
+    const final = engine.toLastStress ? metric : metric - 1;
+    const type = (engine.rhythms[metric] || []).find(r => r.stresses.every(p => positions.includes(p)));
+    const missing = (engine.required[metric] || [[final]])
+      .map(alt => alt.filter(p => !positions.includes(p)))
+      .reduce((best, m) => (m.length < best.length ? m : best));
+    return { metric, positions, type: type ? type.name : null, missing: metric > 1 ? missing : [] };
+  }
+
   /** Retorna nombre del verso según sílabas */
   function verseName(n) {
     const names = {
@@ -120,90 +864,582 @@ const Syllables = (() => {
     return text.trim().split(/\s+/).filter(w => w.length > 0).length;
   }
 
-  return { countText, countLine, countWord, verseName, countWords };
+  return {
+    setLanguage, language,
+    countText, countLine, countWord, countMetric, analyzeLine, rhythm,
+    stress, nuclei, words, split, splitLine, verseName, countWords
+  };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: RHYME
+   Detección de rima final (consonante y
+   asonante) y validación del esquema
+══════════════════════════════════════════ */
+const Rhyme = (() => {
+  const PLAIN   = { á:'a', é:'e', í:'i', ó:'o', ú:'u', ü:'u' };
+  const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+  function plain(s) { return s.replace(/[áéíóúü]/g, c => PLAIN[c]); }
+
+  /** Vocal que lleva el acento dentro de un núcleo (diptongo o triptongo) */
+  function nucleusVowel(word, n) {
+    let strong = -1;
+    for (let i = n.start; i <= n.end; i++) {
+      if ('áéíóú'.includes(word[i])) return i;
+      if ('aeo'.includes(word[i])) strong = i;
+    }
+    if (strong >= 0) return strong;
+    // Dos débiles (ui, iu): el acento cae en la segunda
+    for (let i = n.end; i >= n.start; i--) if ('iuü'.includes(word[i])) return i;
+    return n.start;
+  }
+
+  /**
+   * Terminación de rima de un verso, desde la vocal tónica de la última palabra.
+   * Retorna { consonant, assonant } o null si el verso no tiene palabras.
+   */
+  function ending(line) {
+    const ws = Syllables.words(line);
+    if (ws.length === 0) return null;
+    const word = ws[ws.length - 1];
+    const ns = Syllables.nuclei(word);
+    if (ns.length === 0) return null;
+    const idx  = Syllables.stress(word).stressed;
+    const tonic = nucleusVowel(word, ns[idx]);
+    // Consonante: todos los sonidos desde la tónica (b = v, h muda, y final = i)
+    const consonant = plain(word.slice(tonic)).replace(/h/g, '').replace(/v/g, 'b').replace(/y$/, 'i');
+    // Asonante: solo la tónica y la última vocal (se ignoran las postónicas de las esdrújulas)
+    const last = idx < ns.length - 1 ? plain(word[nucleusVowel(word, ns[ns.length - 1])]) : '';
+    return { consonant, assonant: plain(word[tonic]) + last };
+  }
+
+  /**
+   * Etiqueta cada verso con su letra de rima.
+   * Mayúscula para arte mayor (9+ sílabas métricas), minúscula para arte menor.
+   * Retorna [{ letter, kind: 'consonant'|'assonant'|null, ending, group }]
+   */
+  function scheme(lines) {
+    const endings = lines.map(ending);
+    // Cuántas veces aparece cada terminación consonante en todo el poema
+    const repeats = {};
+    endings.forEach(e => { if (e) repeats[e.consonant] = (repeats[e.consonant] || 0) + 1; });
+
+    const groups = [];
+    const result = endings.map((e, i) => {
+      if (!e) return { letter: null, kind: null, ending: null, group: null };
+      let kind = 'consonant';
+      let g = groups.find(g => g.consonant === e.consonant);
+      // Solo un verso sin pareja consonante puede sumarse a un grupo por asonancia
+      // (así "aprieto" y "derecho" no se mezclan en un soneto con ambas rimas)
+      if (!g && repeats[e.consonant] === 1) { kind = 'assonant'; g = groups.find(g => g.assonant === e.assonant); }
+      if (!g) { kind = null; g = { ...e, kinds: [] }; groups.push(g); }
+      if (kind) g.kinds.push(kind);
+      const base = LETTERS[groups.indexOf(g) % LETTERS.length];
+      const letter = Syllables.countMetric(lines[i]) >= 9 ? base : base.toLowerCase();
+      return { letter, kind, ending: e.consonant, group: groups.indexOf(g) };
+    });
+    // El primer verso de cada grupo toma el tipo de rima de sus compañeros
+    result.forEach(r => {
+      if (r.group === null || r.kind) return;
+      const kinds = groups[r.group].kinds;
+      r.kind = kinds.includes('consonant') ? 'consonant' : kinds.length ? 'assonant' : null;
+    });
+    return result;
+  }
+
+  /**
+   * Compara la rima detectada con el esquema esperado: una cadena ("ABBAABBACDCDCD")
+   * o una letra por verso ('' para los versos sin rima exigida).
+   * Cada letra esperada se asocia al grupo de rima más frecuente entre sus versos;
+   * los versos que no pertenecen a ese grupo se marcan con ok: false.
+   */
+  function validate(lines, expected) {
+    const detected = scheme(lines);
+    const pattern  = Array.isArray(expected)
+      ? expected.map(l => (l || '').toUpperCase())
+      : [...(expected || '').replace(/\s+/g, '').toUpperCase()];
+    const anchors  = {};
+    const used     = new Set();
+    [...new Set(pattern.filter(Boolean))].forEach(letter => {
+      const counts = {};
+      detected.forEach((d, i) => {
+        if (pattern[i] === letter && d.group !== null && !used.has(d.group)) {
+          counts[d.group] = (counts[d.group] || 0) + 1;
+        }
+      });
+      const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+      anchors[letter] = best ? Number(best[0]) : null;
+      if (best) used.add(anchors[letter]);
+    });
+    return detected.map((d, i) => {
+      const exp = pattern[i] || null;
+      const ok  = !exp || (d.group !== null && anchors[exp] === d.group);
+      return { ...d, expected: exp, ok };
+    });
+  }
+
+  return { ending, scheme, validate };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: RHYME DICTIONARY
+   Buscador de rimas sin conexión: diccionario
+   incluido más las palabras de tus notas
+══════════════════════════════════════════ */
+const RhymeDictionary = (() => {
+  // Vocabulario poético frecuente, agrupado por terminaciones
+  const BUNDLED = `
+    amor dolor color calor flor rumor temor valor sabor clamor fulgor ardor candor pudor sudor rencor señor mejor peor menor mayor interior exterior resplandor labrador cantor pastor traidor ruiseñor esplendor redentor tambor alrededor
+    corazón canción razón pasión ilusión perdón rincón balcón montón tizón carbón bastón ladrón limón melón sazón tesón jamón visión prisión oración estación emoción traición nación condición revolución solución eslabón acordeón camión avión
+    mar cantar amar llorar soñar volar olvidar esperar andar mirar besar abrazar lugar altar hogar azahar pesar collar jugar pensar callar
+    ser volver querer saber poder perder tener crecer nacer
+    morir vivir sentir partir decir subir reír mentir dormir pedir seguir salir abrir escribir
+    mujer placer ayer amanecer atardecer anochecer deber
+    vida herida querida perdida salida subida medida mordida caída dormida escondida encendida bebida comida partida florida
+    olvido sentido latido nido herido querido perdido vestido ruido gemido sonido marido dormido vencido rendido encendido tejido silbido
+    amado callado pasado pecado soldado cuidado prado helado cansado llorado sagrado dorado alado mojado estado sembrado enamorado desesperado
+    mirada morada alborada madrugada espada almohada nada llamada granada cascada helada parada enamorada callada jornada balada amada
+    momento tormento viento lamento aliento cuento acento sentimiento pensamiento firmamento cemento juramento contento intento alimento movimiento
+    lenta sienta cuenta tormenta menta renta
+    luna cuna fortuna laguna ninguna alguna duna aceituna
+    noche coche broche derroche reproche
+    sol farol caracol girasol español arrebol crisol
+    cielo vuelo anhelo suelo consuelo desvelo pañuelo hielo pelo velo duelo abuelo señuelo modelo
+    tierra guerra sierra cierra encierra destierra
+    agua paraguas fragua
+    fuego juego luego ruego sosiego ciego riego apego
+    alma calma palma
+    sangre hambre enjambre alambre
+    madre padre compadre
+    beso peso preso regreso exceso proceso progreso queso hueso
+    rosa hermosa mariposa diosa esposa cosa prosa losa baldosa silenciosa dichosa misteriosa
+    flores dolores amores colores rumores temores pudores labores
+    hermoso glorioso piadoso dichoso gozoso silencioso misterioso reposo esposo oso
+    mañana ventana campana hermana lana manzana semana gana fontana lejana cercana humana temprana
+    verano mano hermano lejano cercano humano temprano piano llano arcano
+    sueño dueño pequeño empeño risueño
+    día alegría poesía melodía armonía fantasía agonía sinfonía compañía lejanía mía todavía vía
+    frío río tío mío tardío vacío rocío hastío extravío navío albedrío desvarío
+    ojos rojos despojos abrojos antojos
+    boca loca roca toca provoca invoca
+    tiempo
+    camino destino peregrino
+    silencio
+    verdad libertad soledad ciudad eternidad claridad bondad piedad edad oscuridad humildad felicidad vanidad
+    luz cruz arcabuz
+    paz voz faz capaz veloz feroz atroz
+    vez pez nuez tez vejez niñez altivez
+    mundo profundo segundo fecundo vagabundo
+    muerte suerte fuerte verte inerte
+    gente frente mente puente fuente siente presente ausente corriente ardiente serpiente simiente torrente
+    canto llanto manto santo encanto quebranto espanto tanto cuanto
+    blanca franca barranca arranca
+    negro alegre
+    triste existe viste insiste
+    sombra nombra alfombra asombra
+    estrella bella huella querella doncella centella botella
+    pena vena arena cadena serena llena morena sirena azucena condena
+    ola sola farola corola amapola
+    oro lloro tesoro coro decoro sonoro
+    piel miel fiel cruel laurel papel clavel cincel
+    cristal final igual mortal puñal rosal trigal manantial señal sal
+    jardín fin confín violín clarín carmín jazmín festín
+    azul abedul baúl tul
+    espejo lejos viejo reflejo consejo
+    ala sala gala bala escala
+    hoja roja deshoja congoja
+    llama rama cama fama drama
+    pecho lecho techo derecho trecho hecho
+    fiera hoguera primavera quimera ribera frontera espera cualquiera bandera ceguera
+    sendero lucero viajero sincero primero certero guerrero romero marinero
+    aurora hora ahora sonora señora demora
+    lágrima lástima ánima música lírica plática época plátano océano
+    pájaro cántaro cántico público místico lírico mágico trágico
+  `;
+
+  const TYPE_ORDER = ['aguda', 'llana', 'esdrujula', 'sobresdrujula'];
+  const TYPE_LABEL = { aguda: 'aguda', llana: 'llana', esdrujula: 'esdrújula', sobresdrujula: 'sobresdrújula' };
+
+  let bundled  = null;   // se indexa la primera vez que se consulta en español
+  let ownCache = null;   // { lang, map }: palabras de tus notas hasta que cambie alguna
+
+  /** palabra → { word, consonant, assonant, syllables, type } o null */
+  function entry(word) {
+    const e = Rhyme.ending(word);
+    if (!e) return null;
+    const { syllables, type } = Syllables.stress(word);
+    return { word, consonant: e.consonant, assonant: e.assonant, syllables, type };
+  }
+
+  function index(words) {
+    const map = new Map();
+    words.forEach(w => {
+      if (map.has(w)) return;
+      const e = entry(w);
+      if (e) map.set(w, e);
+    });
+    return map;
+  }
+
+  /**
+   * Palabras de todas las notas (sin acordes ni marcadores de sección).
+   * Se indexan una vez por idioma: el panel de rimas consulta a cada
+   * movimiento del cursor.
+   */
+  function ownWords() {
+    const lang = Syllables.language();
+    if (ownCache && ownCache.lang === lang) return ownCache.map;
+    const words = [];
+    NotesManager.getAll().forEach(note => {
+      if ((note.lang || Settings.get().lang) !== lang) return;
+      TextTools.fromHTML(note.content).split('\n').forEach(line => {
+        if (/^\[\s.*\s\]$/.test(line.trim())) return;
+        Syllables.words(line).forEach(w => { if (w.length > 1) words.push(w); });
+      });
+    });
+    ownCache = { lang, map: index(words) };
+    return ownCache.map;
+  }
+
+  /** Las notas cambiaron: las palabras propias se vuelven a indexar en la próxima consulta */
+  function invalidate() { ownCache = null; }
+
+  /** [{ label, words: [{ word, own }] }] ordenado por sílabas y acento */
+  function group(entries, own) {
+    const groups = new Map();
+    entries
+      .sort((a, b) => a.syllables - b.syllables ||
+        TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) ||
+        a.word.localeCompare(b.word, 'es'))
+      .forEach(e => {
+        const label = `${e.syllables} ${e.syllables === 1 ? 'sílaba' : 'sílabas'} · ${TYPE_LABEL[e.type]}`;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push({ word: e.word, own: own.has(e.word) });
+      });
+    return [...groups].map(([label, words]) => ({ label, words }));
+  }
+
+  /**
+   * Rimas para la última palabra del texto dado.
+   * Retorna { word, consonant: [grupos], assonant: [grupos] } o null si no hay palabra.
+   */
+  function find(text) {
+    const target = entry(Syllables.words(text).pop() || '');
+    if (!target) return null;
+    // El diccionario incluido es español y se indexa con el motor español;
+    // en otros idiomas solo se usan tus palabras
+    const spanish = Syllables.language() === 'es';
+    if (spanish && !bundled) bundled = index(BUNDLED.trim().split(/\s+/));
+    const own = ownWords();
+
+    const all = new Map([...(spanish ? bundled : []), ...own]);
+    all.delete(target.word);
+    const consonant = [], assonant = [];
+    all.forEach(e => {
+      if (e.consonant === target.consonant) consonant.push(e);
+      else if (e.assonant === target.assonant) assonant.push(e);
+    });
+    return { word: target.word, consonant: group(consonant, own), assonant: group(assonant, own) };
+  }
+
+  return { find, invalidate };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: DOC MODEL
+   Modelo del documento del editor: líneas
+   con tramos de texto y marcas (negrita,
+   cursiva, subrayado). Las estrofas y las
+   secciones "[ Estribillo ]" salen de las
+   líneas. Funciones puras: nunca tocan el DOM
+══════════════════════════════════════════ */
+const DocModel = (() => {
+  const MARKER_RE = /^\[\s.*\S\s\]$/;
+  const MARKS     = ['b', 'i', 'u'];
+  const TAGS      = { B: 'b', STRONG: 'b', I: 'i', EM: 'i', U: 'u' };
+
+  function run(text, marks = {}) {
+    return { text, b: !!marks.b, i: !!marks.i, u: !!marks.u };
+  }
+
+  function sameMarks(a, b) { return MARKS.every(m => a[m] === b[m]); }
+
+  /** Línea con los tramos contiguos de iguales marcas unidos y sin tramos vacíos */
+  function line(runs) {
+    const out = [];
+    runs.forEach(r => {
+      if (!r.text) return;
+      const last = out[out.length - 1];
+      if (last && sameMarks(last, r)) out[out.length - 1] = { ...last, text: last.text + r.text };
+      else out.push(run(r.text, r));
+    });
+    return { runs: out };
+  }
+
+  function text(l)      { return l.runs.map(r => r.text).join(''); }
+  function length(l)    { return text(l).length; }
+  function isSection(l) { return MARKER_RE.test(text(l).trim()); }
+  function equal(a, b)  { return a.runs.length === b.runs.length && a.runs.every((r, k) => r.text === b.runs[k].text && sameMarks(r, b.runs[k])); }
+
+  /**
+   * HTML (del editor, guardado o ya saneado) → líneas.
+   * pre: los "\n" de los textos son saltos de línea (editor en texto plano);
+   * si no, los espacios se colapsan como en cualquier HTML.
+   */
+  function parse(html, { pre = false } = {}) {
+    const doc   = new DOMParser().parseFromString(html || '', 'text/html');
+    const lines = [[]];
+    const current = () => lines[lines.length - 1];
+    (function walk(node, marks) {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          let str = child.textContent;
+          if (!pre) {
+            if (!str.trim() && str.includes('\n')) return;   // sangría del código fuente
+            str = str.replace(/[\t\n\r ]+/g, ' ');
+          }
+          str.split('\n').forEach((part, k) => {
+            if (k) lines.push([]);
+            if (part) current().push(run(part, marks));
+          });
+          return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        const name = child.nodeName.toUpperCase();
+        if (name === 'BR') { lines.push([]); return; }
+        const block = name === 'DIV' || name === 'P';
+        if (block && current().length) lines.push([]);
+        walk(child, TAGS[name] ? { ...marks, [TAGS[name]]: true } : marks);
+        if (block && current().length) lines.push([]);
+      });
+    })(doc.body, {});
+    // La línea que abre el último cierre de bloque o <br> no existe
+    if (lines.length > 1 && !current().length) lines.pop();
+    return lines.map(line);
+  }
+
+  /** Texto plano → líneas con las marcas dadas */
+  function fromText(str, marks = {}) {
+    return (str || '').replace(/\r\n?/g, '\n').split('\n').map(t => line([run(t, marks)]));
+  }
+
+  function lineHTML(l, rich = true) {
+    const esc = TextTools.escapeHTML;
+    if (!l.runs.length) return '<div><br></div>';
+    if (isSection(l)) return `<div><span class="song-section-marker">${esc(text(l))}</span></div>`;
+    return '<div>' + l.runs.map(r => {
+      let html = esc(r.text);
+      if (!rich) return html;
+      if (r.u) html = `<u>${html}</u>`;
+      if (r.i) html = `<i>${html}</i>`;
+      if (r.b) html = `<b>${html}</b>`;
+      return html;
+    }).join('') + '</div>';
+  }
+
+  /** Líneas → HTML del editor (el mismo formato que se guarda en la nota) */
+  function render(lines, rich = true) {
+    return lines.map(l => lineHTML(l, rich)).join('');
+  }
+
+  /** Trozo [from, to) de una línea, con sus marcas */
+  function sliceLine(l, from, to = Infinity) {
+    const out = [];
+    let pos = 0;
+    l.runs.forEach(r => {
+      const a = Math.max(from, pos), b = Math.min(to, pos + r.text.length);
+      if (a < b) out.push({ ...r, text: r.text.slice(a - pos, b - pos) });
+      pos += r.text.length;
+    });
+    return line(out);
+  }
+
+  function concat(...parts) { return line(parts.flatMap(l => l.runs)); }
+
+  /** Líneas entre dos posiciones { line, offset } */
+  function slice(lines, start, end) {
+    if (start.line === end.line) return [sliceLine(lines[start.line], start.offset, end.offset)];
+    return [
+      sliceLine(lines[start.line], start.offset),
+      ...lines.slice(start.line + 1, end.line),
+      sliceLine(lines[end.line], 0, end.offset)
+    ];
+  }
+
+  /**
+   * Sustituye lo que hay entre start y end por un fragmento de líneas.
+   * Retorna { op: { from, removed, inserted }, caret } — la operación
+   * cambia un tramo de líneas enteras, así se deshace igual que se aplica.
+   */
+  function replace(lines, start, end, fragment) {
+    const head  = sliceLine(lines[start.line], 0, start.offset);
+    const tail  = sliceLine(lines[end.line], end.offset);
+    const frag  = fragment.length ? fragment : [line([])];
+    const last  = frag.length - 1;
+    const empty = line([]);
+    return {
+      op: {
+        from:     start.line,
+        removed:  lines.slice(start.line, end.line + 1),
+        inserted: frag.map((l, k) => concat(k === 0 ? head : empty, l, k === last ? tail : empty))
+      },
+      caret: { line: start.line + last, offset: (last === 0 ? length(head) : 0) + length(frag[last]) }
+    };
+  }
+
+  /** Marcas que sigue lo que se escribe en pos: las del carácter anterior */
+  function marksAt(lines, pos) {
+    const l = lines[pos.line];
+    let p = 0;
+    for (const r of l.runs) {
+      if (pos.offset > p && pos.offset <= p + r.text.length) return run('', r);
+      p += r.text.length;
+    }
+    return run('', l.runs[0]);
+  }
+
+  /** ¿Tiene la marca todo el texto entre start y end? */
+  function hasMark(lines, start, end, mark) {
+    return slice(lines, start, end).every(l => l.runs.every(r => r[mark]));
+  }
+
+  /** Operación que pone (on) o quita una marca entre start y end */
+  function setMark(lines, start, end, mark, on) {
+    const frag = slice(lines, start, end).map(l => line(l.runs.map(r => ({ ...r, [mark]: on }))));
+    return replace(lines, start, end, frag).op;
+  }
+
+  /**
+   * Bloques del documento: estrofas (versos seguidos, como PoemModel.parse)
+   * y secciones. [{ type: 'stanza' | 'section', start, end }], end exclusivo.
+   */
+  function blocks(lines) {
+    const out = [];
+    let stanza = null;
+    lines.forEach((l, i) => {
+      if (isSection(l)) { stanza = null; out.push({ type: 'section', start: i, end: i + 1 }); return; }
+      if (!text(l).trim()) { stanza = null; return; }
+      if (!stanza) { stanza = { type: 'stanza', start: i, end: i }; out.push(stanza); }
+      stanza.end = i + 1;
+    });
+    return out;
+  }
+
+  return {
+    parse, fromText, render, lineHTML, text, length, isSection, equal,
+    sliceLine, concat, slice, replace, marksAt, hasMark, setMark, blocks
+  };
 })();
 
 
 /* ══════════════════════════════════════════
    MÓDULO: HISTORY (Deshacer/Rehacer)
-   Para el editor de texto plano
+   Pila de operaciones del editor: cada una
+   cambia un tramo de líneas y recuerda la
+   selección de antes y de después
 ══════════════════════════════════════════ */
 const EditorHistory = (() => {
-  let stack  = [];
-  let index  = -1;
-  let timer  = null;
-
-  function save(text) {
-    clearTimeout(timer);
-    timer = setTimeout(() => {
-      // Eliminar estados futuros
-      stack = stack.slice(0, index + 1);
-      stack.push(text);
-      if (stack.length > 100) stack.shift();
-      index = stack.length - 1;
-    }, 300);
+  const LIMIT    = 200;
+  const GROUP_MS = 1000;   // lo que se escribe seguido en una línea se deshace de una vez
+
+  let stack = [];
+  let index = -1;          // última operación aplicada
+
+  /**
+   * op: { from, removed, inserted, before, after, kind }.
+   * Dos operaciones seguidas del mismo tipo sobre las mismas líneas
+   * ('type' o 'delete', sin crear ni borrar líneas) se agrupan en una.
+   */
+  function push(op) {
+    stack = stack.slice(0, index + 1);
+    const last = stack[stack.length - 1];
+    const now  = Date.now();
+    if (last && (op.kind === 'type' || op.kind === 'delete') && op.kind === last.kind &&
+        now - last.time < GROUP_MS && op.from === last.from &&
+        op.removed.length === last.inserted.length && op.inserted.length === op.removed.length) {
+      last.inserted = op.inserted;
+      last.after    = op.after;
+      last.time     = now;
+      return;
+    }
+    stack.push({ ...op, time: now });
+    if (stack.length > LIMIT) stack.shift();
+    index = stack.length - 1;
   }
 
   function undo() {
-    if (index > 0) { index--; return stack[index]; }
-    return null;
+    if (index < 0) return null;
+    return stack[index--];
   }
 
   function redo() {
-    if (index < stack.length - 1) { index++; return stack[index]; }
-    return null;
+    if (index >= stack.length - 1) return null;
+    return stack[++index];
   }
 
-  function reset(text) {
-    stack = [text];
-    index = 0;
-    clearTimeout(timer);
+  function reset() {
+    stack = [];
+    index = -1;
   }
 
-  return { save, undo, redo, reset };
+  return { push, undo, redo, reset };
 })();
 
 
 /* ══════════════════════════════════════════
    MÓDULO: POEM STRUCTURES
    Guías de estructura poética
+   rhyme:   esquema esperado de cada estrofa
+   meter:   sílabas métricas de cada verso
+   allowed: medidas admitidas en estrofas libres
+   repeat:  la estrofa se repite a lo largo del poema
 ══════════════════════════════════════════ */
 const PoemStructures = {
   soneto: {
     name: 'Soneto',
+    desc: '2 cuartetos + 2 tercetos · 14 versos',
     stanzas: [
-      { label: '1.er Cuarteto', verses: 4, hint: 'ABBA · versos endecasílabos (11 síl.)' },
-      { label: '2.º Cuarteto',  verses: 4, hint: 'ABBA · versos endecasílabos (11 síl.)' },
-      { label: '1.er Terceto',  verses: 3, hint: 'CDC · libre rimado' },
-      { label: '2.º Terceto',   verses: 3, hint: 'DCD · libre rimado' }
+      { label: '1.er Cuarteto', verses: 4, rhyme: 'ABBA', meter: [11, 11, 11, 11], hint: 'ABBA · versos endecasílabos (11 síl.)' },
+      { label: '2.º Cuarteto',  verses: 4, rhyme: 'ABBA', meter: [11, 11, 11, 11], hint: 'ABBA · versos endecasílabos (11 síl.)' },
+      { label: '1.er Terceto',  verses: 3, rhyme: 'CDC',  meter: [11, 11, 11], hint: 'CDC · libre rimado' },
+      { label: '2.º Terceto',   verses: 3, rhyme: 'DCD',  meter: [11, 11, 11], hint: 'DCD · libre rimado' }
     ]
   },
   cuarteto: {
     name: 'Cuarteto',
+    desc: '4 versos · rima ABBA',
     stanzas: [
-      { label: 'Cuarteto', verses: 4, hint: 'ABBA · 4 versos endecasílabos' }
+      { label: 'Cuarteto', verses: 4, rhyme: 'ABBA', meter: [11, 11, 11, 11], hint: 'ABBA · 4 versos endecasílabos' }
     ]
   },
   lira: {
     name: 'Lira',
+    desc: '5 versos · heptasílabos y endecasílabos',
     stanzas: [
-      { label: 'Lira', verses: 5, hint: 'Versos: 7-11-7-7-11 sílabas · rima aBabB' }
+      { label: 'Lira', verses: 5, repeat: true, rhyme: 'aBabB', meter: [7, 11, 7, 7, 11], hint: 'Versos: 7-11-7-7-11 sílabas · rima aBabB' }
     ]
   },
   haiku: {
     name: 'Haiku',
+    desc: '3 versos · 5-7-5 sílabas',
     stanzas: [
-      { label: 'Haiku', verses: 3, hint: 'Verso 1: 5 síl. · Verso 2: 7 síl. · Verso 3: 5 síl.' }
+      { label: 'Haiku', verses: 3, meter: [5, 7, 5], hint: 'Verso 1: 5 síl. · Verso 2: 7 síl. · Verso 3: 5 síl.' }
     ]
   },
   silva: {
     name: 'Silva',
+    desc: 'Versos heptasílabos y endecasílabos libres',
     stanzas: [
-      { label: 'Silva', verses: 0, hint: 'Mezcla libre de heptasílabos y endecasílabos' }
+      { label: 'Silva', verses: 0, allowed: [7, 11], hint: 'Mezcla libre de heptasílabos y endecasílabos' }
     ]
   },
   libre: {
     name: 'Verso libre',
+    desc: 'Sin estructura fija · libertad total',
     stanzas: [
       { label: '', verses: 0, hint: 'Sin estructura fija · tu ritmo, tus reglas.' }
     ]
@@ -212,7 +1448,178 @@ const PoemStructures = {
 
 
 /* ══════════════════════════════════════════
-   MÓDULO: TUTORIAL
+   MÓDULO: STRUCTURES
+   Estructuras integradas + las definidas por
+   el usuario (guardadas en Storage)
+══════════════════════════════════════════ */
+const Structures = (() => {
+  function custom() { return Storage.getStructures(); }
+
+  /** Integradas primero, luego las del usuario; todas con id */
+  function all() {
+    const builtIn = Object.entries(PoemStructures).map(([id, st]) => ({ id, ...st, custom: false }));
+    return [...builtIn, ...custom()];
+  }
+
+  function get(id) {
+    if (!id) return null;
+    return PoemStructures[id] || custom().find(st => st.id === id) || null;
+  }
+
+  function save(struct) {
+    const list = custom();
+    const idx  = list.findIndex(st => st.id === struct.id);
+    if (!struct.id) struct.id = 'custom-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    struct.custom = true;
+    if (idx >= 0) list[idx] = struct;
+    else list.push(struct);
+    Storage.saveStructures(list);
+    return struct;
+  }
+
+  function remove(id) {
+    Storage.saveStructures(custom().filter(st => st.id !== id));
+  }
+
+  /** Copia editable de cualquier estructura (también de las integradas), sin guardar */
+  function duplicate(id) {
+    const src = get(id);
+    if (!src) return null;
+    const copy = JSON.parse(JSON.stringify(src));
+    delete copy.id;
+    copy.name = `${src.name} (copia)`;
+    return copy;
+  }
+
+  /** Descripción corta para el selector */
+  function describe(struct) {
+    if (struct.desc) return struct.desc;
+    const fixed  = struct.stanzas.filter(st => st.verses > 0);
+    const verses = fixed.reduce((sum, st) => sum + st.verses, 0);
+    const rhyme  = struct.stanzas.map(st => st.rhyme || '').join(' ').trim();
+    const parts  = [];
+    if (fixed.length === 0) parts.push('Versos libres');
+    else parts.push(`${struct.stanzas.length} estrofa${struct.stanzas.length > 1 ? 's' : ''} · ${verses} versos`);
+    if (rhyme) parts.push(`rima ${rhyme}`);
+    return parts.join(' · ');
+  }
+
+  return { all, get, save, remove, duplicate, describe };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: POEM MODEL
+   Estrofas y versos de una nota, validados
+   contra su estructura poética
+══════════════════════════════════════════ */
+const PoemModel = (() => {
+  /**
+   * Divide el texto en estrofas (separadas por líneas en blanco) y versos.
+   * Los marcadores de sección "[ ... ]" también cierran estrofa.
+   */
+  function parse(text) {
+    const stanzas = [];
+    let current = null;
+    (text || '').split('\n').forEach(raw => {
+      const line = raw.trim();
+      if (!line || /^\[.*\]$/.test(line)) { current = null; return; }
+      if (!current) { current = { verses: [] }; stanzas.push(current); }
+      current.verses.push(line);
+    });
+    return { stanzas, verses: stanzas.flatMap(s => s.verses) };
+  }
+
+  /**
+   * Definición de estructura que corresponde a la estrofa k del poema.
+   * Las estrofas con repeat (lira) o de medida libre valen para todas.
+   */
+  function stanzaDef(struct, k) {
+    if (!struct) return null;
+    const defs = struct.stanzas;
+    if (defs.length === 1 && (k === 0 || defs[0].repeat || defs[0].verses === 0)) return defs[0];
+    return defs[k] || null;
+  }
+
+  /** Medidas admitidas para el verso j de la estrofa k, o null si no hay medida */
+  function allowedMeter(struct, k, j) {
+    const def = stanzaDef(struct, k);
+    if (!def) return null;
+    if (def.meter) return def.meter[j] ? [def.meter[j]] : null;
+    return def.allowed || null;
+  }
+
+  function shiftLetter(letter, shift) {
+    if (!letter || !shift) return letter || '';
+    const code = (letter.toUpperCase().charCodeAt(0) - 65 + shift) % 26;
+    const out  = String.fromCharCode(65 + code);
+    return letter === letter.toUpperCase() ? out : out.toLowerCase();
+  }
+
+  /**
+   * Letra de rima esperada para cada verso del poema.
+   * Cada repetición de una estrofa con repeat usa letras nuevas (aBabB cDcdD...).
+   * Si el poema no separa estrofas, se aplica el esquema completo seguido.
+   */
+  function expectedRhymes(model, struct) {
+    if (!struct) return [];
+    if (model.stanzas.length === 1 && struct.stanzas.length > 1) {
+      return [...struct.stanzas.map(st => st.rhyme || '').join('')];
+    }
+    const out = [];
+    model.stanzas.forEach((st, k) => {
+      const def   = stanzaDef(struct, k);
+      const rhyme = (def && def.rhyme) || '';
+      const shift = def && def.repeat ? k * new Set(rhyme.toUpperCase()).size : 0;
+      st.verses.forEach((v, j) => out.push(shiftLetter(rhyme[j], shift)));
+    });
+    return out;
+  }
+
+  /**
+   * Progreso de cada estrofa frente a la estructura.
+   * Retorna null para formas sin número fijo de versos (silva, verso libre).
+   * status: 'complete' | 'incomplete' | 'over'
+   */
+  function validate(model, struct) {
+    if (!struct || struct.stanzas.every(st => st.verses === 0)) return null;
+    const defs   = struct.stanzas;
+    const repeat = defs.length === 1 && defs[0].repeat;
+    const count  = repeat ? Math.max(1, model.stanzas.length) : defs.length;
+
+    const stanzas = [];
+    for (let k = 0; k < count; k++) {
+      const def    = stanzaDef(struct, k);
+      const actual = model.stanzas[k] ? model.stanzas[k].verses.length : 0;
+      const status = actual === def.verses ? 'complete' : actual > def.verses ? 'over' : 'incomplete';
+      stanzas.push({
+        label:    repeat ? `${def.label} ${k + 1}` : def.label,
+        hint:     def.hint,
+        expected: def.verses,
+        actual,
+        status
+      });
+    }
+
+    const warnings = stanzas.filter(st => st.status === 'over').map(st => {
+      const n = st.actual - st.expected;
+      return `${st.label}: sobra${n > 1 ? 'n' : ''} ${n} verso${n > 1 ? 's' : ''}`;
+    });
+    const extra = repeat ? 0 : Math.max(0, model.stanzas.length - defs.length);
+    if (extra > 0) {
+      warnings.push(`${struct.name}: ${defs.length} estrofa${defs.length > 1 ? 's' : ''} como máximo, sobra${extra > 1 ? 'n' : ''} ${extra}`);
+    }
+
+    const complete = warnings.length === 0 && stanzas.every(st => st.status === 'complete');
+    return { stanzas, extra, warnings, complete };
+  }
+
+  return { parse, stanzaDef, allowedMeter, expectedRhymes, validate };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: TUTORIAL
 ══════════════════════════════════════════ */
 const Tutorial = (() => {
   let step = 1;
@@ -444,6 +1851,7 @@ const Settings = (() => {
   const zoomLabel   = document.getElementById('zoom-label');
   const toggleRich  = document.getElementById('toggle-rich');
   const toggleMetric= document.getElementById('toggle-metric');
+  const langSelect  = document.getElementById('setting-lang');
 
   function open() {
     // Sync UI con settings actuales
@@ -452,6 +1860,7 @@ const Settings = (() => {
     });
     toggleRich.checked    = s.richText;
     toggleMetric.checked  = s.metric;
+    langSelect.value      = s.lang;
     zoomLabel.textContent = Math.round(s.zoom * 100) + '%';
     overlay.classList.remove('hidden');
     // Actualizar estado del panel de instalación
@@ -468,6 +1877,9 @@ const Settings = (() => {
   function applyZoom() {
     document.documentElement.style.setProperty('--text-zoom', s.zoom);
     zoomLabel.textContent = Math.round(s.zoom * 100) + '%';
+    // Las filas del gutter dependen de la altura de cada línea
+    if (typeof MetricGutter !== 'undefined') MetricGutter.update();
+    if (typeof SyllableOverlay !== 'undefined') SyllableOverlay.refresh();
   }
 
   function applyRichText() {
@@ -475,12 +1887,14 @@ const Settings = (() => {
     const undoBar = document.getElementById('plain-undo-bar');
     toolbar.classList.toggle('hidden', !s.richText);
     undoBar.classList.toggle('hidden', s.richText);
-    const editor = document.getElementById('note-editor');
-    editor.contentEditable = 'true';
+    if (typeof EditorCore !== 'undefined') EditorCore.setRich(s.richText);
   }
 
   function applyMetric() {
     document.getElementById('metric-toolbar').classList.toggle('hidden', !s.metric);
+    document.getElementById('metric-gutter').classList.toggle('hidden', !s.metric);
+    if (typeof MetricGutter !== 'undefined') MetricGutter.update();
+    if (typeof SyllableOverlay !== 'undefined') SyllableOverlay.refresh();
   }
 
   btnOpen.addEventListener('click', open);
@@ -519,6 +1933,12 @@ const Settings = (() => {
     applyMetric();
   });
 
+  // Idioma por defecto de las notas nuevas (y de las que no tienen idioma)
+  langSelect.addEventListener('change', () => {
+    s.lang = langSelect.value;
+    Storage.saveSettings(s);
+  });
+
   function init() {
     applyTheme();
     applyZoom();
@@ -528,7 +1948,34 @@ const Settings = (() => {
 
   function get() { return s; }
 
-  return { init, get, open, close };
+  // Valores admitidos de cada ajuste que puede traer una copia
+  const VALID = {
+    theme:     v => v === 'dark' || v === 'light',
+    zoom:      v => typeof v === 'number' && v >= 0.6 && v <= 2,
+    richText:  v => typeof v === 'boolean',
+    metric:    v => typeof v === 'boolean',
+    lang:      v => [...langSelect.options].some(o => o.value === v),
+    sort:      v => ['updated', 'created', 'title', 'manual'].includes(v),
+    perfSpeed: v => Number.isFinite(v) && v >= 5 && v <= 200,
+    firstRun:  v => typeof v === 'boolean'
+  };
+
+  /**
+   * Sustituye los ajustes (p. ej. al restaurar una copia) y los aplica.
+   * Los que faltan se conservan; los no válidos vuelven al valor por defecto.
+   */
+  function replace(next) {
+    const current  = Storage.getSettings();
+    const defaults = Storage.defaultSettings();
+    s = { ...current };
+    Object.keys(VALID).forEach(key => {
+      if (key in next) s[key] = VALID[key](next[key]) ? next[key] : defaults[key];
+    });
+    Storage.saveSettings(s);
+    init();
+  }
+
+  return { init, get, replace, open, close };
 })();
 
 
@@ -537,11 +1984,19 @@ const Settings = (() => {
    CRUD de notas
 ══════════════════════════════════════════ */
 const NotesManager = (() => {
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+
   function create(type, structure) {
     return {
-      id:        Date.now().toString(36) + Math.random().toString(36).slice(2),
+      id:        newId(),
       type,       // 'poem' | 'song'
       structure:  structure || null,
+      notebook:   null,   // id del cuaderno o null
+      form:       null,   // canciones: orden de las secciones al cantarla, p. ej. 'V1-E-V2-E'
+      attachments: [],    // audios: [{ id, name, type, duration, createdAt }]; el Blob va aparte
+      lang:       Settings.get().lang,   // motor de sílabas: 'es' | 'en' | 'pt' | 'it' | 'ca'
       title:      '',
       content:    '',
       tags:       [],
@@ -552,25 +2007,42 @@ const NotesManager = (() => {
   }
 
   function save(note) {
-    const notes = Storage.getAllNotes();
-    const idx   = notes.findIndex(n => n.id === note.id);
     note.updatedAt = Date.now();
-    if (idx >= 0) notes[idx] = note;
-    else notes.unshift(note);
-    Storage.saveNotes(notes);
+    Storage.saveNote(note);
+    RhymeDictionary.invalidate();
   }
 
   function remove(id) {
-    const notes = Storage.getAllNotes().filter(n => n.id !== id);
-    Storage.saveNotes(notes);
+    Storage.deleteNote(id);
+    RhymeDictionary.invalidate();
+    Revisions.clear(id).catch(err => {
+      console.warn('[Revisions] error al borrar:', err);
+      Toast.show('No se pudo borrar el historial de la nota.', { error: true });
+    });
+    AudioMemos.clear(id).catch(err => {
+      console.warn('[AudioMemos] error al borrar:', err);
+      Toast.show('No se pudieron borrar las grabaciones de la nota.', { error: true });
+    });
+    Setlists.forget(id);
+    Search.forget(id);
   }
 
   function getAll() {
     return Storage.getAllNotes().sort((a, b) => b.updatedAt - a.updatedAt);
   }
 
+  /** Ordena una lista de notas: 'updated' | 'created' | 'title' (el orden manual es de Notebooks) */
+  function sort(notes, mode) {
+    const list = [...notes];
+    if (mode === 'created') return list.sort((a, b) => b.createdAt - a.createdAt);
+    if (mode === 'title') {
+      return list.sort((a, b) => (a.title || 'Sin título').localeCompare(b.title || 'Sin título', 'es', { sensitivity: 'base' }));
+    }
+    return list.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
   function getById(id) {
-    return Storage.getAllNotes().find(n => n.id === id) || null;
+    return Storage.getNote(id);
   }
 
   function getAllTags() {
@@ -578,7 +2050,529 @@ const NotesManager = (() => {
     return [...new Set(all)];
   }
 
-  return { create, save, remove, getAll, getById, getAllTags };
+  return { newId, create, save, remove, getAll, sort, getById, getAllTags };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: NOTEBOOKS
+   Cuadernos (poemarios, álbumes) con las
+   notas en el orden que elige el usuario
+══════════════════════════════════════════ */
+const Notebooks = (() => {
+  function all() {
+    return Storage.getNotebooks();
+  }
+
+  function get(id) {
+    return all().find(b => b.id === id) || null;
+  }
+
+  function create(name) {
+    const book = { id: 'nb-' + NotesManager.newId(), name, order: [], createdAt: Date.now() };
+    Storage.saveNotebooks([...all(), book]);
+    return book;
+  }
+
+  function rename(id, name) {
+    Storage.saveNotebooks(all().map(b => (b.id === id ? { ...b, name } : b)));
+  }
+
+  /** Borra el cuaderno; sus notas no se borran, quedan sin cuaderno */
+  function remove(id) {
+    Storage.saveNotebooks(all().filter(b => b.id !== id));
+    NotesManager.getAll().filter(n => n.notebook === id).forEach(n => {
+      n.notebook = null;
+      Storage.saveNote(n);   // sin tocar updatedAt: no es una edición del texto
+    });
+  }
+
+  /**
+   * Notas del cuaderno en orden manual. Las que aún no tienen sitio
+   * (recién creadas o movidas) van al final, de la más antigua a la más nueva.
+   */
+  function notes(id, list = NotesManager.getAll()) {
+    const book  = get(id);
+    const order = book ? book.order : [];
+    const inBook = list.filter(n => n.notebook === id);
+    const placed = order.map(nid => inBook.find(n => n.id === nid)).filter(Boolean);
+    const rest   = inBook.filter(n => !order.includes(n.id)).sort((a, b) => a.createdAt - b.createdAt);
+    return [...placed, ...rest];
+  }
+
+  /** Guarda el orden manual (ids de nota) */
+  function reorder(id, ids) {
+    Storage.saveNotebooks(all().map(b => (b.id === id ? { ...b, order: ids } : b)));
+  }
+
+  /** Todo el cuaderno como un único documento de texto, en su orden */
+  function exportText(id) {
+    const book = get(id);
+    if (!book) return;
+    const body = notes(id).map(n => ShareModal.getPlainText(n)).join('\n\n\n');
+    const text = `${book.name}\n${'═'.repeat(book.name.length)}\n\n\n${body}\n`;
+    Files.download(new Blob([text], { type: 'text/plain;charset=utf-8' }), `${Files.safeName(book.name, 'cuaderno')}.txt`);
+  }
+
+  return { all, get, create, rename, remove, notes, reorder, exportText };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: SETLISTS
+   Listas de canciones para un concierto, en
+   orden, con tono, tempo, duración y notas
+   propias de cada actuación
+══════════════════════════════════════════ */
+const Setlists = (() => {
+  function newItemId() { return 'it-' + NotesManager.newId(); }
+
+  /** Los elementos se identifican por id: los de setlists antiguos lo reciben al leerlos */
+  function all() {
+    const list = Storage.getSetlists();
+    if (!list.some(s => s.items.some(item => !item.id))) return list;
+    const fixed = list.map(s => ({ ...s, items: s.items.map(item => (item.id ? item : { ...item, id: newItemId() })) }));
+    Storage.saveSetlists(fixed);
+    return fixed;
+  }
+
+  function get(id) {
+    return all().find(s => s.id === id) || null;
+  }
+
+  function create(name) {
+    const set = { id: 'sl-' + NotesManager.newId(), name, items: [], createdAt: Date.now() };
+    Storage.saveSetlists([...all(), set]);
+    return set;
+  }
+
+  /** Aplica fn a la lista de elementos del setlist y guarda */
+  function update(id, fn) {
+    Storage.saveSetlists(all().map(s => (s.id === id ? { ...s, items: fn([...s.items]) } : s)));
+  }
+
+  function rename(id, name) {
+    Storage.saveSetlists(all().map(s => (s.id === id ? { ...s, name } : s)));
+  }
+
+  function remove(id) {
+    Storage.saveSetlists(all().filter(s => s.id !== id));
+  }
+
+  /** Una misma canción puede aparecer varias veces (p. ej. como bis) */
+  function addNote(id, noteId) {
+    update(id, items => [...items, { id: newItemId(), noteId, key: '', tempo: null, duration: null, notes: '' }]);
+  }
+
+  /** fields: { key, tempo, duration (segundos), notes } */
+  function updateItem(id, itemId, fields) {
+    update(id, items => items.map(item => (item.id === itemId ? { ...item, ...fields } : item)));
+  }
+
+  function removeItem(id, itemId) {
+    update(id, items => items.filter(item => item.id !== itemId));
+  }
+
+  /** Lleva el elemento itemId delante (o detrás, after) del elemento targetId */
+  function moveItem(id, itemId, targetId, after) {
+    update(id, items => {
+      const from = items.findIndex(item => item.id === itemId);
+      if (from < 0 || itemId === targetId) return items;
+      const [item] = items.splice(from, 1);
+      const at = items.findIndex(other => other.id === targetId);
+      if (at < 0) return [...items.slice(0, from), item, ...items.slice(from)];
+      items.splice(after ? at + 1 : at, 0, item);
+      return items;
+    });
+  }
+
+  /** Al borrar una nota desaparece de todos los setlists */
+  function forget(noteId) {
+    const list = all();
+    if (!list.some(s => s.items.some(item => item.noteId === noteId))) return;
+    Storage.saveSetlists(list.map(s => ({ ...s, items: s.items.filter(item => item.noteId !== noteId) })));
+  }
+
+  /** Elementos con su nota: [{ id, noteId, key, tempo, duration, notes, note }] */
+  function items(id) {
+    const set = get(id);
+    if (!set) return [];
+    return set.items.map(item => ({ ...item, note: NotesManager.getById(item.noteId) })).filter(item => item.note);
+  }
+
+  /** Duración total en segundos y cuántas canciones no la tienen */
+  function total(id) {
+    const list = items(id);
+    return {
+      seconds: list.reduce((sum, item) => sum + (item.duration || 0), 0),
+      missing: list.filter(item => !item.duration).length
+    };
+  }
+
+  function totalLabel(id) {
+    const { seconds, missing } = total(id);
+    const count = items(id).length;
+    let label = `${count} ${count === 1 ? 'canción' : 'canciones'} · ${TextTools.formatDuration(seconds)}`;
+    if (missing && count) label += ` (${missing} sin duración)`;
+    return label;
+  }
+
+  /** Setlist imprimible en una sola página: la letra se encoge si hay muchas canciones */
+  function printHTML(id) {
+    const set  = get(id);
+    const list = items(id);
+    const esc  = TextTools.escapeHTML;
+    const size = Math.max(10, Math.min(22, Math.floor(420 / Math.max(list.length, 1))));
+    const rows = list.map((item, i) => `
+      <tr>
+        <td class="pos">${i + 1}</td>
+        <td class="title">${esc(item.note.title || 'Sin título')}${item.notes ? `<div class="notes">${esc(item.notes)}</div>` : ''}</td>
+        <td>${esc(item.key || Chords.keyName(TextTools.fromHTML(item.note.content)) || '')}</td>
+        <td>${item.tempo ? esc(String(item.tempo)) : ''}</td>
+        <td>${item.duration ? TextTools.formatDuration(item.duration) : ''}</td>
+      </tr>`).join('');
+    return `<!DOCTYPE html><html lang="es"><head>
+      <meta charset="UTF-8">
+      <title>${esc(set.name)}</title>
+      <style>
+        @page { size: A4; margin: 12mm; }
+        body { font-family: "Helvetica Neue", Helvetica, Arial, sans-serif; font-size: ${size}pt; color: #111; margin: 0; }
+        h1 { font-size: 1.3em; margin: 0 0 .2em; }
+        .total { color: #555; font-size: .7em; margin-bottom: .8em; }
+        table { width: 100%; border-collapse: collapse; page-break-inside: avoid; }
+        td { padding: .15em .4em; border-bottom: 1px solid #ddd; vertical-align: top; white-space: nowrap; }
+        td.title { width: 100%; white-space: normal; font-weight: bold; }
+        td.pos { color: #777; text-align: right; }
+        .notes { font-weight: normal; font-size: .6em; color: #555; }
+      </style></head><body>
+      <h1>${esc(set.name)}</h1>
+      <div class="total">${esc(totalLabel(id))}</div>
+      <table>${rows}</table>
+      </body></html>`;
+  }
+
+  return { all, get, create, rename, remove, addNote, updateItem, removeItem, moveItem, forget, items, total, totalLabel, printHTML, newItemId };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: DIFF
+   Diferencias por líneas o por palabras (LCS)
+══════════════════════════════════════════ */
+const Diff = (() => {
+  const MAX_CELLS = 4e6;   // por encima, se marca el bloque entero como cambiado
+
+  /** Retorna [{ type: 'same' | 'add' | 'del', text }] para pasar de a a b */
+  function compute(a, b) {
+    // Prefijo y sufijo comunes fuera de la tabla
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const A = a.slice(start, endA), B = b.slice(start, endB);
+    const n = A.length, m = B.length;
+    const ops = [];
+
+    if (n * m > MAX_CELLS) {
+      A.forEach(text => ops.push({ type: 'del', text }));
+      B.forEach(text => ops.push({ type: 'add', text }));
+    } else {
+      const w = m + 1;
+      const lcs = new Uint32Array((n + 1) * w);
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          lcs[i * w + j] = A[i] === B[j]
+            ? lcs[(i + 1) * w + j + 1] + 1
+            : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+        }
+      }
+      let i = 0, j = 0;
+      while (i < n && j < m) {
+        if (A[i] === B[j]) { ops.push({ type: 'same', text: A[i] }); i++; j++; }
+        else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) ops.push({ type: 'del', text: A[i++] });
+        else ops.push({ type: 'add', text: B[j++] });
+      }
+      while (i < n) ops.push({ type: 'del', text: A[i++] });
+      while (j < m) ops.push({ type: 'add', text: B[j++] });
+    }
+
+    return [
+      ...a.slice(0, start).map(text => ({ type: 'same', text })),
+      ...ops,
+      ...a.slice(endA).map(text => ({ type: 'same', text }))
+    ];
+  }
+
+  function lines(a, b) { return compute(a.split('\n'), b.split('\n')); }
+
+  /** Los espacios se conservan como piezas propias para reconstruir el texto */
+  function words(a, b) {
+    const tokens = s => s.split(/(\s+)/).filter(Boolean);
+    return compute(tokens(a), tokens(b));
+  }
+
+  return { lines, words };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: REVISIONS
+   Versiones persistentes de cada nota
+══════════════════════════════════════════ */
+const Revisions = (() => {
+  const MAX_PER_NOTE = 100;   // las guardadas a mano no se recortan
+  const latest = new Map();   // noteId → última versión conocida (evita duplicados)
+
+  const REASONS = {
+    manual:  'Guardada',
+    close:   'Al cerrar',
+    idle:    'En pausa',
+    restore: 'Antes de restaurar'
+  };
+
+  async function list(noteId) {
+    const revs = await Storage.getRevisions(noteId);
+    if (revs[0]) latest.set(noteId, revs[0]);
+    return revs;
+  }
+
+  /**
+   * Guarda una versión de la nota si cambió desde la última.
+   * reason: 'manual' | 'close' | 'idle' | 'restore'
+   * Devuelve null si no hay nada que guardar; lanza Error si no se pudo escribir.
+   */
+  async function capture(note, reason) {
+    if (!note || (!note.content && !note.title)) return null;
+    const last = latest.has(note.id) ? latest.get(note.id) : (await list(note.id))[0];
+    if (last && last.content === note.content && last.title === note.title && reason !== 'manual') return null;
+
+    const rev = {
+      id:        NotesManager.newId(),
+      noteId:    note.id,
+      title:     note.title,
+      content:   note.content,
+      reason,
+      createdAt: Date.now()
+    };
+    // Solo cuenta como última la versión que de verdad quedó guardada
+    if (!await Storage.saveRevision(rev)) throw new Error('No se pudo guardar la versión.');
+    latest.set(note.id, rev);
+    // Recortar el historial no debe impedir que se devuelva la versión ya guardada
+    prune(note.id).catch(err => console.warn('[Revisions] error al recortar:', err));
+    return rev;
+  }
+
+  async function prune(noteId) {
+    const auto = (await Storage.getRevisions(noteId)).filter(r => r.reason !== 'manual');
+    if (auto.length > MAX_PER_NOTE) await Storage.deleteRevisions(auto.slice(MAX_PER_NOTE).map(r => r.id));
+  }
+
+  async function clear(noteId) {
+    latest.delete(noteId);
+    const revs = await Storage.getRevisions(noteId);
+    if (revs.length) await Storage.deleteRevisions(revs.map(r => r.id));
+  }
+
+  function label(rev) { return REASONS[rev.reason] || ''; }
+
+  return { list, capture, clear, label };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: AUDIO MEMOS
+   Grabaciones adjuntas a una nota: los datos
+   van en la nota y el audio, como Blob, en
+   su propio almacén
+══════════════════════════════════════════ */
+const AudioMemos = (() => {
+  function list(note) {
+    return note.attachments || [];
+  }
+
+  /** Nombre por defecto: "Grabación N" con el primer número libre */
+  function defaultName(note) {
+    const used = new Set(list(note).map(a => a.name));
+    let n = list(note).length + 1;
+    while (used.has(`Grabación ${n}`)) n++;
+    return `Grabación ${n}`;
+  }
+
+  /**
+   * Guarda el audio y lo añade a la nota (sin guardarla: lo hace quien llama).
+   * Retorna los datos del adjunto o null si no se pudo guardar.
+   */
+  async function add(note, blob, duration) {
+    const memo = {
+      id:        'au-' + NotesManager.newId(),
+      name:      defaultName(note),
+      type:      blob.type || 'audio/webm',
+      duration:  Math.round(duration * 10) / 10,
+      createdAt: Date.now()
+    };
+    const saved = await Storage.saveAttachment({ id: memo.id, noteId: note.id, blob });
+    if (!saved) return null;
+    note.attachments = [...list(note), memo];
+    return memo;
+  }
+
+  function rename(note, id, name) {
+    note.attachments = list(note).map(a => (a.id === id ? { ...a, name } : a));
+  }
+
+  function remove(note, id) {
+    note.attachments = list(note).filter(a => a.id !== id);
+    return Storage.deleteAttachments([id]);
+  }
+
+  async function blob(id) {
+    const rec = await Storage.getAttachment(id);
+    return rec ? rec.blob : null;
+  }
+
+  /** Borra todos los audios de una nota */
+  async function clear(noteId) {
+    const recs = await Storage.getAttachments(noteId);
+    if (recs.length) await Storage.deleteAttachments(recs.map(r => r.id));
+  }
+
+  /** Extensión de archivo según el tipo MIME que dio MediaRecorder */
+  function extension(type) {
+    if (/mp4|aac|m4a/.test(type)) return 'm4a';
+    if (/ogg/.test(type)) return 'ogg';
+    if (/mpeg/.test(type)) return 'mp3';
+    if (/wav/.test(type)) return 'wav';
+    return 'webm';
+  }
+
+  return { list, add, rename, remove, blob, clear, extension };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: SEARCH
+   Búsqueda de texto completo sin acentos ni
+   mayúsculas, con ranking y resaltado
+══════════════════════════════════════════ */
+const Search = (() => {
+  const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  const index = new Map();   // id → { updatedAt, title, body, tags } ya normalizados
+
+  /**
+   * Quita acentos y mayúsculas carácter a carácter, sin cambiar la longitud,
+   * para que las posiciones del texto normalizado sirvan en el original.
+   */
+  function fold(str) {
+    return (str || '').split('').map(c => c.normalize('NFD')[0].toLowerCase()[0]).join('');
+  }
+
+  /** Texto visible del contenido (mismo criterio que la vista previa de las tarjetas) */
+  function plainText(html) {
+    return (html || '')
+      .replace(/<br\s*\/?>|<\/div>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\[.*?\]/g, '')
+      .replace(/&(#\d+|[a-z]+);/gi, (m, e) =>
+        e[0] === '#' ? String.fromCharCode(parseInt(e.slice(1), 10)) : (ENTITIES[e.toLowerCase()] || m))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /** Entrada del índice; solo se recalcula si la nota cambió */
+  function entry(note) {
+    let e = index.get(note.id);
+    if (!e || e.updatedAt !== note.updatedAt) {
+      const body = plainText(note.content);
+      e = {
+        updatedAt: note.updatedAt,
+        body,
+        foldedBody:  fold(body),
+        foldedTitle: fold(note.title || ''),
+        foldedTags:  (note.tags || []).map(fold)
+      };
+      index.set(note.id, e);
+    }
+    return e;
+  }
+
+  /** Saca del índice una nota borrada */
+  function forget(id) {
+    index.delete(id);
+  }
+
+  function count(haystack, term) {
+    let n = 0, i = haystack.indexOf(term);
+    while (i >= 0 && n < 5) { n++; i = haystack.indexOf(term, i + term.length); }
+    return n;
+  }
+
+  /** Envuelve en <mark> cada aparición de los términos; el resto se escapa */
+  function highlight(text, terms) {
+    const folded = fold(text);
+    const marks  = [];
+    terms.forEach(t => {
+      let i = folded.indexOf(t);
+      while (i >= 0) { marks.push([i, i + t.length]); i = folded.indexOf(t, i + t.length); }
+    });
+    marks.sort((a, b) => a[0] - b[0]);
+    let out = '', pos = 0;
+    marks.forEach(([s, e]) => {
+      if (s < pos) return;   // solapadas con una marca anterior
+      out += TextTools.escapeHTML(text.slice(pos, s)) + `<mark>${TextTools.escapeHTML(text.slice(s, e))}</mark>`;
+      pos = e;
+    });
+    return out + TextTools.escapeHTML(text.slice(pos));
+  }
+
+  /** Fragmento de ~120 caracteres alrededor de la primera coincidencia */
+  function snippet(e, terms) {
+    const first = Math.min(...terms.map(t => {
+      const i = e.foldedBody.indexOf(t);
+      return i < 0 ? Infinity : i;
+    }));
+    const start = first === Infinity ? 0 : Math.max(0, first - 40);
+    const text  = e.body.slice(start, start + 120);
+    return (start > 0 ? '…' : '') + highlight(text, terms) + (start + 120 < e.body.length ? '…' : '');
+  }
+
+  /**
+   * Busca en título, contenido y tags. Todas las palabras de la consulta deben aparecer.
+   * Retorna [{ note, score, titleHTML, snippetHTML }] ordenado por relevancia.
+   */
+  function run(notes, query) {
+    const phrase = fold(query.trim().replace(/\s+/g, ' '));
+    const terms  = phrase.split(' ').filter(Boolean);
+    if (terms.length === 0) return notes.map(note => ({ note, score: 0 }));
+
+    const results = [];
+    notes.forEach(note => {
+      const e = entry(note);
+      let score = 0;
+      const all = terms.every(t => {
+        const inTitle = e.foldedTitle.includes(t);
+        const inTags  = e.foldedTags.some(tag => tag.includes(t));
+        const inBody  = count(e.foldedBody, t);
+        if (!inTitle && !inTags && !inBody) return false;
+        if (inTitle) score += e.foldedTitle.startsWith(t) ? 15 : 10;
+        if (inTags)  score += 6;
+        score += inBody;
+        return true;
+      });
+      if (!all) return;
+      // La frase completa pesa más que las palabras sueltas
+      if (terms.length > 1 && (e.foldedTitle.includes(phrase) || e.foldedBody.includes(phrase))) score += 8;
+      results.push({
+        note,
+        score,
+        titleHTML:   highlight(note.title || 'Sin título', terms),
+        snippetHTML: e.body ? snippet(e, terms) : ''
+      });
+    });
+    return results.sort((a, b) => b.score - a.score || b.note.updatedAt - a.note.updatedAt);
+  }
+
+  return { run, fold, forget };
 })();
 
 
@@ -592,9 +2586,20 @@ const ListView = (() => {
   const filterBtns  = document.querySelectorAll('.filter-btn:not(#filter-tags-btn)');
   const filterTagBtn= document.getElementById('filter-tags-btn');
   const activeTagsBar = document.getElementById('active-tags-bar');
-
+  const searchInput = document.getElementById('search-input');
+  const bookSelect  = document.getElementById('notebook-select');
+  const sortSelect  = document.getElementById('sort-select');
+  const btnBookNew  = document.getElementById('notebook-new');
+  const btnBookEdit = document.getElementById('notebook-rename');
+  const btnBookDel  = document.getElementById('notebook-delete');
+  const btnBookExp  = document.getElementById('notebook-export');
+  const emptyText   = emptyEl.querySelector('p').innerHTML;
+
+  let currentBook     = '';   // '' → todas, 'none' → sin cuaderno, o id de cuaderno
   let currentFilter   = 'all';
   let activeTags      = [];
+  let query           = '';
+  let searchTimer     = null;
 
   function formatDate(ts) {
     const d = new Date(ts);
@@ -618,41 +2623,184 @@ const ListView = (() => {
     return result;
   }
 
+  /** Notas del cuaderno elegido, en el orden de Ajustes (el manual solo dentro de un cuaderno) */
+  function notebookNotes() {
+    const all  = NotesManager.getAll();
+    const book = currentBook && currentBook !== 'none' ? currentBook : null;
+    if (book && sortMode() === 'manual') return Notebooks.notes(book, all);
+    const list = book ? all.filter(n => n.notebook === book)
+      : currentBook === 'none' ? all.filter(n => !n.notebook) : all;
+    return NotesManager.sort(list, sortMode());
+  }
+
+  function sortMode() {
+    const mode = Settings.get().sort;
+    return mode === 'manual' && (!currentBook || currentBook === 'none') ? 'updated' : mode;
+  }
+
+  function canDrag() {
+    return sortMode() === 'manual' && !query;
+  }
+
+  function renderNotebookControls() {
+    const books = Notebooks.all();
+    if (currentBook && currentBook !== 'none' && !books.some(b => b.id === currentBook)) currentBook = '';
+    bookSelect.innerHTML =
+      '<option value="">Todas las notas</option><option value="none">Sin cuaderno</option>' +
+      books.map(b => `<option value="${TextTools.escapeHTML(b.id)}">${TextTools.escapeHTML(b.name)}</option>`).join('');
+    bookSelect.value = currentBook;
+    const isBook = !!currentBook && currentBook !== 'none';
+    [btnBookEdit, btnBookDel, btnBookExp].forEach(b => b.classList.toggle('hidden', !isBook));
+    // Fuera de un cuaderno no hay orden manual: se muestra el que se aplica
+    const manual = sortSelect.querySelector('option[value="manual"]');
+    manual.disabled = manual.hidden = !isBook;
+    sortSelect.value = sortMode();
+  }
+
   function render() {
-    const notes    = NotesManager.getAll();
-    const filtered = applyFilters(notes);
+    renderNotebookControls();
+    if (currentFilter === 'setlists') { renderSetlists(); return; }
+    const notes   = notebookNotes();
+    // La búsqueda se aplica sobre el resultado de los filtros y reordena por relevancia
+    const results = query
+      ? Search.run(applyFilters(notes), query)
+      : applyFilters(notes).map(note => ({ note }));
 
     // Limpiar lista (excepto empty state)
     listEl.querySelectorAll('.note-card').forEach(el => el.remove());
 
-    if (filtered.length === 0) {
+    if (results.length === 0) {
+      emptyEl.querySelector('p').innerHTML = query ? 'Ninguna nota coincide con la búsqueda.' : emptyText;
       emptyEl.style.display = 'flex';
       return;
     }
     emptyEl.style.display = 'none';
 
-    filtered.forEach(note => {
-      const card = createCard(note);
+    results.forEach(match => {
+      const card = createCard(match.note, query ? match : null);
+      if (canDrag()) makeDraggable(card);
+      listEl.appendChild(card);
+    });
+  }
+
+  /** Filtro Setlists: una tarjeta por setlist (las que coinciden con la búsqueda) y otra para crear */
+  function renderSetlists() {
+    const esc = TextTools.escapeHTML;
+    listEl.querySelectorAll('.note-card').forEach(el => el.remove());
+    emptyEl.style.display = 'none';
+
+    const add = document.createElement('div');
+    add.className = 'note-card setlist-new';
+    add.innerHTML = '<div class="note-card-title">＋ Nuevo setlist</div>';
+    add.addEventListener('click', () => {
+      const name = (prompt('Nombre del setlist (p. ej. "Concierto de primavera")') || '').trim();
+      if (name) SetlistModal.open(Setlists.create(name).id);
+    });
+    listEl.appendChild(add);
+
+    const q = query.toLowerCase();
+    Setlists.all().filter(set => !q || set.name.toLowerCase().includes(q)).forEach(set => {
+      const card = document.createElement('div');
+      card.className = 'note-card setlist';
+      card.dataset.id = set.id;
+      const titles = Setlists.items(set.id).map(item => item.note.title || 'Sin título');
+      card.innerHTML = `
+        <div class="note-card-header">
+          <div class="note-card-title">${esc(set.name)}</div>
+        </div>
+        ${titles.length ? `<div class="note-card-preview">${esc(titles.join(' · '))}</div>` : ''}
+        <div class="note-card-footer">
+          <div class="note-card-meta">${esc(Setlists.totalLabel(set.id))}</div>
+        </div>`;
+      card.addEventListener('click', () => SetlistModal.open(set.id));
       listEl.appendChild(card);
     });
   }
 
-  function createCard(note) {
+  /* ── Orden manual: arrastrar y soltar tarjetas, o ↑ ↓ en pantallas táctiles ── */
+  let draggedId = null;
+
+  function makeDraggable(card) {
+    card.draggable = true;
+    card.classList.add('draggable');
+    const actions = card.querySelector('.note-card-actions');
+    [['↑', -1, 'Subir'], ['↓', 1, 'Bajar']].forEach(([symbol, dir, label]) => {
+      const btn = document.createElement('button');
+      btn.className = 'note-card-move';
+      btn.textContent = symbol;
+      btn.setAttribute('aria-label', label);
+      btn.addEventListener('click', e => {
+        e.stopPropagation();
+        moveBy(card.dataset.id, dir);
+      });
+      actions.appendChild(btn);
+    });
+    card.addEventListener('dragstart', e => {
+      draggedId = card.dataset.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', draggedId);
+      card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => {
+      draggedId = null;
+      card.classList.remove('dragging');
+    });
+    card.addEventListener('dragover', e => {
+      if (!draggedId || draggedId === card.dataset.id) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+    card.addEventListener('drop', e => {
+      e.preventDefault();
+      if (!draggedId || draggedId === card.dataset.id) return;
+      // Soltar en la mitad inferior coloca la nota detrás de la tarjeta
+      const rect  = card.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      moveNote(draggedId, card.dataset.id, after);
+    });
+  }
+
+  /** Recoloca una nota respecto a otra dentro del orden completo del cuaderno */
+  function moveNote(id, targetId, after) {
+    const ids = Notebooks.notes(currentBook).map(n => n.id).filter(nid => nid !== id);
+    const at  = ids.indexOf(targetId);
+    if (at < 0) return;
+    ids.splice(after ? at + 1 : at, 0, id);
+    Notebooks.reorder(currentBook, ids);
+    render();
+  }
+
+  /** Sube (-1) o baja (1) una nota un puesto en el orden del cuaderno */
+  function moveBy(id, dir) {
+    const ids = Notebooks.notes(currentBook).map(n => n.id);
+    const target = ids[ids.indexOf(id) + dir];
+    if (target) moveNote(id, target, dir > 0);
+  }
+
+  function currentNotebook() {
+    return currentBook && currentBook !== 'none' ? currentBook : null;
+  }
+
+  /** match: resultado de Search.run con título y fragmento resaltados */
+  function createCard(note, match) {
     const card = document.createElement('div');
     card.className = 'note-card';
     card.dataset.id = note.id;
 
-    const preview = note.content.replace(/<[^>]+>/g, '').replace(/\[.*?\]/g, '').trim().slice(0, 120);
+    const esc = TextTools.escapeHTML;
+    const preview = match
+      ? match.snippetHTML
+      : esc(TextTools.fromHTML(note.content).replace(/\[.*?\]/g, '').replace(/\s+/g, ' ').trim().slice(0, 120));
     const typeLabel = note.type === 'poem' ? 'Poesía' : 'Canción';
     const tags = (note.tags || []).slice(0, 3).map(t =>
-      `<span class="tag-chip" data-tag="${t}">${t}</span>`
+      `<span class="tag-chip" data-tag="${esc(t)}">${esc(t)}</span>`
     ).join('');
 
     card.innerHTML = `
       <div class="note-card-header">
-        <div class="note-card-title">${note.title || 'Sin título'}</div>
+        <div class="note-card-title">${match ? match.titleHTML : esc(note.title || 'Sin título')}</div>
         <div class="note-card-actions">
-          <button class="note-card-fav ${note.favorite ? 'active' : ''}" data-id="${note.id}" aria-label="Favorito">
+          <button class="note-card-fav ${note.favorite ? 'active' : ''}" data-id="${esc(note.id)}" aria-label="Favorito">
             ${note.favorite ? '★' : '☆'}
           </button>
         </div>
@@ -660,8 +2808,9 @@ const ListView = (() => {
       ${preview ? `<div class="note-card-preview">${preview}</div>` : ''}
       <div class="note-card-footer">
         <div class="note-card-meta">
-          <span class="type-badge-card ${note.type}">${typeLabel}</span>
-          ${note.structure ? ` · ${note.structure}` : ''}
+          <span class="type-badge-card ${esc(note.type)}">${typeLabel}</span>
+          ${note.structure ? ` · ${esc((Structures.get(note.structure) || { name: note.structure }).name)}` : ''}
+          ${!currentBook && note.notebook && Notebooks.get(note.notebook) ? ` · ${esc(Notebooks.get(note.notebook).name)}` : ''}
           &nbsp;·&nbsp; ${formatDate(note.updatedAt)}
         </div>
         <div class="note-card-tags">${tags}</div>
@@ -709,7 +2858,7 @@ const ListView = (() => {
     }
     activeTagsBar.classList.remove('hidden');
     activeTagsBar.innerHTML = activeTags.map(t =>
-      `<span class="tag-chip removable" data-tag="${t}">${t}</span>`
+      `<span class="tag-chip removable" data-tag="${TextTools.escapeHTML(t)}">${TextTools.escapeHTML(t)}</span>`
     ).join('');
     activeTagsBar.querySelectorAll('.tag-chip').forEach(el => {
       el.addEventListener('click', () => toggleActiveTag(el.dataset.tag));
@@ -728,410 +2877,3706 @@ const ListView = (() => {
     });
   });
 
-  // Filtro por tags
-  filterTagBtn.addEventListener('click', () => {
-    const allTags = NotesManager.getAllTags();
-    if (allTags.length === 0) return;
-    // Toggle primer tag para demo; en uso real abrir modal de tags
-    // Simplemente mostrar el filtro de tags disponibles
-    activeTagsBar.classList.remove('hidden');
-    activeTagsBar.innerHTML = '<span style="color:var(--text-muted);font-size:0.78rem">Tags: </span>' +
-      allTags.map(t => `<span class="tag-chip" data-tag="${t}">${t}</span>`).join('');
-    activeTagsBar.querySelectorAll('.tag-chip').forEach(el => {
-      el.addEventListener('click', () => toggleActiveTag(el.dataset.tag));
-    });
+  // Búsqueda (con pequeña espera para no recalcular en cada tecla)
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      query = searchInput.value.trim();
+      render();
+    }, 150);
   });
 
-  return { render };
-})();
-
+  // Cuadernos
+  bookSelect.addEventListener('change', () => {
+    currentBook = bookSelect.value;
+    render();
+  });
+
+  sortSelect.addEventListener('change', () => {
+    const s = Settings.get();
+    s.sort = sortSelect.value;
+    Storage.saveSettings(s);
+    render();
+  });
+
+  btnBookNew.addEventListener('click', () => {
+    const name = (prompt('Nombre del cuaderno (p. ej. "Poemario 2026")') || '').trim();
+    if (!name) return;
+    currentBook = Notebooks.create(name).id;
+    render();
+  });
+
+  btnBookEdit.addEventListener('click', () => {
+    const book = Notebooks.get(currentBook);
+    if (!book) return;
+    const name = (prompt('Nuevo nombre del cuaderno', book.name) || '').trim();
+    if (!name) return;
+    Notebooks.rename(book.id, name);
+    render();
+  });
+
+  btnBookDel.addEventListener('click', () => {
+    const book = Notebooks.get(currentBook);
+    if (!book) return;
+    if (!confirm(`¿Eliminar el cuaderno "${book.name}"? Sus notas no se borran.`)) return;
+    Notebooks.remove(book.id);
+    currentBook = '';
+    render();
+  });
+
+  btnBookExp.addEventListener('click', () => {
+    if (currentNotebook()) Notebooks.exportText(currentNotebook());
+  });
+
+  // Filtro por tags
+  filterTagBtn.addEventListener('click', () => {
+    const allTags = NotesManager.getAllTags();
+    if (allTags.length === 0) return;
+    // Toggle primer tag para demo; en uso real abrir modal de tags
+    // Simplemente mostrar el filtro de tags disponibles
+    activeTagsBar.classList.remove('hidden');
+    activeTagsBar.innerHTML = '<span style="color:var(--text-muted);font-size:0.78rem">Tags: </span>' +
+      allTags.map(t => `<span class="tag-chip" data-tag="${TextTools.escapeHTML(t)}">${TextTools.escapeHTML(t)}</span>`).join('');
+    activeTagsBar.querySelectorAll('.tag-chip').forEach(el => {
+      el.addEventListener('click', () => toggleActiveTag(el.dataset.tag));
+    });
+  });
+
+  return { render, currentNotebook };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: METRIC GUTTER
+   Columna junto al editor con sílabas, nombre
+   del verso y letra de rima de cada línea
+══════════════════════════════════════════ */
+const MetricGutter = (() => {
+  const gutter = document.getElementById('metric-gutter');
+  const editor = document.getElementById('note-editor');
+  const inner  = document.createElement('div');
+  inner.className = 'metric-gutter-inner';
+  inner.style.position = 'relative';
+  gutter.appendChild(inner);
+
+  let structure = null;
+  let frame     = null;
+
+  /**
+   * Agrupa los nodos del editor en líneas visuales. contentEditable deja el
+   * primer renglón como texto suelto y el resto como <div>; un <br> cierra línea.
+   */
+  function lineBlocks() {
+    const blocks  = [];
+    let pending   = [];
+    const flush   = () => { if (pending.length) { blocks.push(pending); pending = []; } };
+    editor.childNodes.forEach(node => {
+      if (node.nodeName === 'DIV' || node.nodeName === 'P') { flush(); blocks.push([node]); }
+      else if (node.nodeName === 'BR') { pending.push(node); flush(); }
+      else pending.push(node);
+    });
+    flush();
+
+    const origin = editor.getBoundingClientRect().top - editor.scrollTop;
+    return blocks.map(nodes => {
+      const range = document.createRange();
+      range.setStartBefore(nodes[0]);
+      range.setEndAfter(nodes[nodes.length - 1]);
+      const rect = range.getBoundingClientRect();
+      return {
+        text:   nodes.map(n => n.textContent).join('').trim(),
+        top:    rect.top - origin,
+        height: rect.height
+      };
+    });
+  }
+
+  function render() {
+    frame = null;
+    if (gutter.classList.contains('hidden')) return;
+
+    const blocks = lineBlocks();
+    const verses = blocks.filter(b => b.text && !/^\[.*\]$/.test(b.text));
+    const rhymes = Rhyme.scheme(verses.map(b => b.text));
+
+    let stanza = 0, verse = 0, v = 0, prevBlank = false;
+    inner.innerHTML = blocks.map(b => {
+      // Línea en blanco o marcador de sección: cierra la estrofa (como PoemModel.parse)
+      if (!b.text || /^\[.*\]$/.test(b.text)) {
+        if (!prevBlank && verse > 0) { stanza++; verse = 0; }
+        prevBlank = true;
+        return '';
+      }
+      prevBlank = false;
+
+      const { metric } = Syllables.analyzeLine(b.text);
+      const letter     = rhymes[v++].letter || '';
+      const allowed    = PoemModel.allowedMeter(structure, stanza, verse++);
+      const off        = allowed && metric > 0 && !allowed.includes(metric);
+      const title      = off ? `Se esperaba ${allowed.join(' o ')} sílabas` : '';
+      return `<div class="gutter-row${off ? ' off-meter' : ''}" title="${title}"
+        style="position:absolute;left:0;right:0;top:${b.top}px;min-height:${b.height}px">
+        <span class="gutter-syl">${metric}</span>
+        <span class="gutter-name">${metric > 0 ? Syllables.verseName(metric) : ''}</span>
+        <span class="gutter-rhyme">${letter}</span>
+      </div>`;
+    }).join('');
+
+    inner.style.height = editor.scrollHeight + 'px';
+    gutter.scrollTop   = editor.scrollTop;
+  }
+
+  /** Agenda un repintado en el próximo frame (se llama en cada pulsación) */
+  function update(struct) {
+    if (struct !== undefined) structure = struct;
+    if (frame === null) frame = requestAnimationFrame(render);
+  }
+
+  editor.addEventListener('scroll', () => { gutter.scrollTop = editor.scrollTop; });
+  window.addEventListener('resize', () => update());
+
+  return { update };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: CHORDS
+   Acordes en línea estilo ChordPro ([Am]palabra):
+   validación, transposición y hoja de acordes
+══════════════════════════════════════════ */
+const Chords = (() => {
+  const SHARP       = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
+  const FLAT        = ['C','Db','D','Eb','E','F','Gb','G','Ab','A','Bb','B'];
+  const LATIN_SHARP = ['Do','Do#','Re','Re#','Mi','Fa','Fa#','Sol','Sol#','La','La#','Si'];
+  const LATIN_FLAT  = ['Do','Reb','Re','Mib','Mi','Fa','Solb','Sol','Lab','La','Sib','Si'];
+  const NATURAL     = { C:0, D:2, E:4, F:5, G:7, A:9, B:11, Do:0, Re:2, Mi:4, Fa:5, Sol:7, La:9, Si:11 };
+
+  // Tonalidades que se escriben con bemoles (clase de altura de la tónica)
+  const FLAT_MAJOR = new Set([5, 10, 3, 8, 1, 6]);   // F Bb Eb Ab Db Gb
+  const FLAT_MINOR = new Set([2, 7, 0, 5, 10, 3]);   // Dm Gm Cm Fm Bbm Ebm
+
+  const NOTE     = '(Do|Re|Mi|Fa|Sol|La|Si|[A-G])([#b♯♭]?)';
+  const SUFFIX   = '((?:maj|min|m|M|dim|aug|\\+|°|ø)?\\d{0,2}(?:sus[24]?|add\\d{1,2}|maj\\d{1,2}|[#b♯♭]\\d{1,2}|\\(\\w+\\))*)';
+  const CHORD_RE = new RegExp(`^${NOTE}${SUFFIX}(?:/${NOTE})?$`);
+  // Sin espacios dentro: así no se confunden con los marcadores "[ Estribillo ]"
+  const TOKEN_RE = /\[([^\[\]\s<>]+)\]/g;
+
+  function pitch(name, acc) {
+    const shift = acc === '#' || acc === '♯' ? 1 : acc === 'b' || acc === '♭' ? -1 : 0;
+    return (NATURAL[name] + shift + 12) % 12;
+  }
+
+  /** "Am7/G", "Solm", "Do#7" → { root, suffix, bass, latin } o null si no es un acorde */
+  function parse(token) {
+    const m = CHORD_RE.exec(token);
+    if (!m) return null;
+    return {
+      root:   pitch(m[1], m[2]),
+      suffix: m[3],
+      bass:   m[4] ? pitch(m[4], m[5]) : null,
+      latin:  m[1].length > 1
+    };
+  }
+
+  function noteName(pc, latin, flats) {
+    const table = latin ? (flats ? LATIN_FLAT : LATIN_SHARP) : (flats ? FLAT : SHARP);
+    return table[pc];
+  }
+
+  function isMinor(chord) { return /^(m(?!aj)|min)/.test(chord.suffix); }
+
+  /** Tonalidad de la canción: la del primer acorde reconocido */
+  function keyOf(text) {
+    for (const [, token] of (text || '').matchAll(TOKEN_RE)) {
+      const chord = parse(token);
+      if (chord) return { root: chord.root, minor: isMinor(chord), latin: chord.latin };
+    }
+    return null;
+  }
+
+  function keyName(text) {
+    const key = keyOf(text);
+    if (!key) return null;
+    const flats = (key.minor ? FLAT_MINOR : FLAT_MAJOR).has(key.root);
+    return noteName(key.root, key.latin, flats) + (key.minor ? 'm' : '');
+  }
+
+  /** Sube o baja todos los acordes; sostenidos o bemoles según la tonalidad de llegada */
+  function transposeText(text, steps) {
+    const key = keyOf(text);
+    if (!key) return text;
+    const target = (key.root + steps + 120) % 12;
+    const flats  = (key.minor ? FLAT_MINOR : FLAT_MAJOR).has(target);
+    return text.replace(TOKEN_RE, (match, token) => {
+      const c = parse(token);
+      if (!c) return match;
+      const root = noteName((c.root + steps + 120) % 12, c.latin, flats);
+      const bass = c.bass === null ? '' : '/' + noteName((c.bass + steps + 120) % 12, c.latin, flats);
+      return `[${root}${c.suffix}${bass}]`;
+    });
+  }
+
+  function hasChords(text) { return keyOf(text) !== null; }
+
+  /** Semitonos para llevar la canción a la tonalidad dada ('G', 'Am', 'Sol'); 0 si no se puede */
+  function stepsTo(text, key) {
+    const from = keyOf(text);
+    const to   = parse((key || '').trim());
+    return from && to ? (to.root - from.root + 12) % 12 : 0;
+  }
+
+  /** Entre corchetes y sin espacios, pero no reconocidos como acorde */
+  function invalid(text) {
+    return [...new Set([...(text || '').matchAll(TOKEN_RE)].map(m => m[1]).filter(t => !parse(t)))];
+  }
+
+  function isMarker(line) { return /^\[\s.*\s\]$/.test(line.trim()); }
+
+  /** Una línea → [{ chord, text }]: cada acorde se aplica al texto que le sigue */
+  function segments(line) {
+    const out = [{ chord: '', text: '' }];
+    let pos = 0;
+    for (const m of line.matchAll(TOKEN_RE)) {
+      out[out.length - 1].text += line.slice(pos, m.index);
+      if (parse(m[1])) out.push({ chord: m[1], text: '' });
+      else out[out.length - 1].text += m[0];
+      pos = m.index + m[0].length;
+    }
+    out[out.length - 1].text += line.slice(pos);
+    return out.filter(s => s.chord || s.text);
+  }
+
+  /** Texto plano con cada línea de acordes encima de su letra (para TXT y portapapeles) */
+  function toPlain(text) {
+    return text.split('\n').map(line => {
+      if (isMarker(line) || !TOKEN_RE.test(line)) { TOKEN_RE.lastIndex = 0; return line; }
+      TOKEN_RE.lastIndex = 0;
+      let top = '', bottom = '';
+      segments(line).forEach(({ chord, text }) => {
+        if (chord) {
+          // Si el acorde anterior no cabe, se separa la letra con espacios
+          if (top.length > bottom.length) bottom = bottom.padEnd(top.length);
+          top = top.padEnd(bottom.length) + chord + ' ';
+        }
+        bottom += text;
+      });
+      return `${top.trimEnd()}\n${bottom}`;
+    }).join('\n');
+  }
+
+  /** HTML de la hoja de acordes: acorde sobre la sílaba en la que cae */
+  function toHTML(text) {
+    const esc = TextTools.escapeHTML;
+    return text.split('\n').map(line => {
+      if (isMarker(line)) return `<div class="song-section-marker">${esc(line.trim())}</div>`;
+      if (!line.trim()) return '<div class="chord-line">&nbsp;</div>';
+      return `<div class="chord-line">${segments(line).map(s => `
+        <span class="chord-seg" style="display:inline-flex;flex-direction:column;white-space:pre">
+          <span class="chord">${s.chord ? esc(s.chord) : '&nbsp;'}</span>
+          <span class="lyric">${esc(s.text) || '&nbsp;'}</span>
+        </span>`).join('')}</div>`;
+    }).join('');
+  }
+
+  return { parse, keyName, transposeText, stepsTo, hasChords, invalid, toPlain, toHTML };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: SONG STRUCTURE
+   Secciones de una canción (Intro, Verso 1,
+   Estribillo...) a partir de sus marcadores,
+   y la forma (V1-E-V2-E-P-E) que repite las
+   secciones escritas una sola vez
+══════════════════════════════════════════ */
+const SongStructure = (() => {
+  const MARKER_RE = /^\[\s(.*\S)\s\]$/;
+
+  // Tipo de sección según su etiqueta y su abreviatura en la forma (el pre-estribillo antes que el estribillo)
+  const KINDS = [
+    { kind: 'pre',    re: /^pre[\s-]?(estribillo|coro|chorus)\b/i, abbr: 'PE' },
+    { kind: 'chorus', re: /^(estribillo|coro|chorus|refr[aá]n)\b/i, abbr: 'E' },
+    { kind: 'verse',  re: /^(verso|estrofa|verse)\b/i,              abbr: 'V' },
+    { kind: 'bridge', re: /^(puente|bridge)\b/i,                    abbr: 'P' },
+    { kind: 'intro',  re: /^intro\b/i,                              abbr: 'I' },
+    { kind: 'outro',  re: /^(outro|final|coda)\b/i,                 abbr: 'O' }
+  ];
+
+  function fold(s) {
+    return s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  function isBlank(l) { return !DocModel.text(l).trim(); }
+
+  /**
+   * Secciones en el orden escrito: [{ label, kind, abbr, start, end }],
+   * con índices de línea (end exclusivo; el marcador es la línea start).
+   * Lo escrito antes del primer marcador es una sección sin etiqueta.
+   * Los versos sin número se numeran por orden: V1, V2...
+   */
+  function sections(lines) {
+    const out = [];
+    lines.forEach((l, i) => {
+      const m = MARKER_RE.exec(DocModel.text(l).trim());
+      if (m) out.push({ label: m[1], start: i, end: i + 1 });
+      else if (out.length) out[out.length - 1].end = i + 1;
+      else out.push({ label: '', start: i, end: i + 1 });
+    });
+
+    let verses = 0;
+    out.forEach(s => {
+      if (!s.label) { s.kind = null; s.abbr = ''; return; }
+      const k   = KINDS.find(k => k.re.test(s.label));
+      const num = /(\d+)\s*$/.exec(s.label);
+      s.kind = k ? k.kind : 'other';
+      if (!k) {
+        s.abbr = s.label.split(/\s+/).map(w => w[0]).join('').toUpperCase();
+      } else if (k.kind === 'verse') {
+        verses = num ? Number(num[1]) : verses + 1;
+        s.abbr = k.abbr + verses;
+      } else {
+        s.abbr = k.abbr + (num ? num[1] : '');
+      }
+    });
+    return out;
+  }
+
+  /** Líneas de la sección sin los huecos del final */
+  function body(lines, s) {
+    const out = lines.slice(s.start, s.end);
+    while (out.length && isBlank(out[out.length - 1])) out.pop();
+    return out;
+  }
+
+  /** Une secciones dejando una línea en blanco entre ellas */
+  function join(lines, list) {
+    const out = [];
+    list.forEach(s => {
+      const part = body(lines, s);
+      if (!part.length) return;
+      if (out.length) out.push(DocModel.fromText('')[0]);
+      out.push(...part);
+    });
+    return out.length ? out : DocModel.fromText('');
+  }
+
+  function tokens(form) {
+    return (form || '').split(/[\s,·–—-]+/).filter(Boolean);
+  }
+
+  /** Sección a la que se refiere un elemento de la forma: por abreviatura o por nombre */
+  function find(list, token) {
+    const t = fold(token);
+    return list.find(s => s.label && fold(s.abbr) === t) ||
+           list.find(s => s.label && fold(s.label) === t) || null;
+  }
+
+  /** La forma tal como está escrita la canción */
+  function defaultForm(list) {
+    return list.filter(s => s.label).map(s => s.abbr).join('-');
+  }
+
+  /** Elementos de la forma que no corresponden a ninguna sección */
+  function unknown(list, form) {
+    return tokens(form).filter(t => !find(list, t));
+  }
+
+  /**
+   * Letra completa según la forma: cada elemento repite su sección con
+   * su marcador. Sin forma, la canción tal como está escrita.
+   */
+  function expand(lines, form) {
+    if (!tokens(form).length) return lines.slice();
+    const list = sections(lines);
+    const used = list.filter(s => !s.label && body(lines, s).length);
+    tokens(form).forEach(t => { const s = find(list, t); if (s) used.push(s); });
+    return join(lines, used);
+  }
+
+  /**
+   * La nota tal como se canta, para exportarla: las canciones con forma
+   * llevan el contenido desplegado (con sus formatos) y ya sin forma
+   */
+  function expandNote(note) {
+    if (note.type !== 'song' || !tokens(note.form).length) return note;
+    const lines = DocModel.parse(TextTools.sanitizeHTML(note.content), { pre: true });
+    return { ...note, content: DocModel.render(expand(lines, note.form)), form: null };
+  }
+
+  /** Lleva la sección i delante (o detrás, after) de la sección j. Lo anterior al primer marcador no se mueve */
+  function move(lines, i, j, after) {
+    const list  = sections(lines);
+    const order = list.filter((s, k) => k !== i);
+    const at    = order.indexOf(list[j]);
+    if (at < 0 || !list[i].label) return lines;
+    order.splice(after ? at + 1 : at, 0, list[i]);
+    const head = order.findIndex(s => !s.label);
+    if (head > 0) order.unshift(order.splice(head, 1)[0]);
+    return join(lines, order);
+  }
+
+  /** Copia de la sección i justo detrás de ella */
+  function duplicate(lines, i) {
+    const list = sections(lines);
+    if (!list[i] || !list[i].label) return lines;
+    return join(lines, [...list.slice(0, i + 1), list[i], ...list.slice(i + 1)]);
+  }
+
+  return { sections, defaultForm, unknown, find, tokens, expand, expandNote, move, duplicate };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: CHORD VIEW
+   Vista de acordes sobre la letra y
+   transposición de canciones
+══════════════════════════════════════════ */
+const ChordView = (() => {
+  const editor    = document.getElementById('note-editor');
+  const view      = document.getElementById('chord-view');
+  const btnToggle = document.getElementById('btn-chord-view');
+  const btnDown   = document.getElementById('btn-transpose-down');
+  const btnUp     = document.getElementById('btn-transpose-up');
+  const keyLabel  = document.getElementById('song-key');
+
+  let active = false;
+
+  function render() {
+    const text = EditorCore.text();
+    keyLabel.textContent = Chords.keyName(text) || '—';
+    if (!active) return;
+    const bad = Chords.invalid(text);
+    view.innerHTML = (bad.length
+      ? `<div class="poem-verse-hint poem-warning">⚠ Acordes no reconocidos: ${bad.map(t => `[${TextTools.escapeHTML(t)}]`).join(' ')}</div>`
+      : '') + Chords.toHTML(text);
+  }
+
+  function setActive(on) {
+    active = on;
+    btnToggle.classList.toggle('active', on);
+    btnToggle.setAttribute('aria-pressed', String(on));
+    editor.classList.toggle('hidden', on);
+    view.classList.toggle('hidden', !on);
+    render();
+  }
+
+  /** Al abrir una nota: siempre en modo edición */
+  function reset() { setActive(false); }
+
+  function transpose(steps) {
+    const html = EditorCore.html();
+    const next = Chords.transposeText(html, steps);
+    if (next === html) return;
+    // Una operación más del editor: se deshace, y él se encarga de stats y guardado
+    EditorCore.replaceAll(next);
+    render();
+  }
+
+  btnToggle.addEventListener('click', () => setActive(!active));
+  btnDown.addEventListener('click', () => transpose(-1));
+  btnUp.addEventListener('click', () => transpose(1));
+
+  return { reset, refresh: render };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: RHYME PANEL
+   Sugerencias de rima para el verso actual;
+   al pulsar una se inserta en el cursor
+══════════════════════════════════════════ */
+const RhymePanel = (() => {
+  const editor   = document.getElementById('note-editor');
+  const panel    = document.getElementById('rhyme-panel');
+  const btnOpen  = document.getElementById('btn-rhymes');
+  const btnClose = document.getElementById('rhyme-close');
+  const heading  = document.getElementById('rhyme-word');
+  const results  = document.getElementById('rhyme-results');
+
+  let savedRange = null;   // posición del cursor antes de pulsar en el panel
+  let refreshTimer = null;
+
+  function inEditor(node) { return node && editor.contains(node); }
+
+  /** Palabra seleccionada o, si no hay selección, el verso donde está el cursor */
+  function currentText() {
+    const sel = window.getSelection();
+    const range = sel && sel.rangeCount && inEditor(sel.anchorNode) ? sel.getRangeAt(0) : savedRange;
+    if (!range || !inEditor(range.startContainer)) return '';
+    if (range.toString().trim()) return range.toString();
+    return (range.startContainer.textContent || '').split('\n')[0];
+  }
+
+  function renderGroups(title, groups) {
+    const esc = TextTools.escapeHTML;
+    if (!groups.length) return `<h4 class="rhyme-kind">${title}</h4><p class="rhyme-empty">Sin resultados</p>`;
+    return `<h4 class="rhyme-kind">${title}</h4>` + groups.map(g => `
+      <div class="rhyme-group">
+        <span class="rhyme-group-label">${g.label}</span>
+        <div class="rhyme-words">${g.words.map(w =>
+          `<button class="rhyme-word${w.own ? ' own' : ''}" data-word="${esc(w.word)}"${w.own ? ' title="Ya la usaste en tus notas"' : ''}>${esc(w.word)}</button>`
+        ).join('')}</div>
+      </div>`).join('');
+  }
+
+  function render() {
+    const found = RhymeDictionary.find(currentText());
+    if (!found) {
+      heading.textContent = '—';
+      results.innerHTML = '<p class="rhyme-empty">Coloca el cursor al final de un verso o selecciona una palabra.</p>';
+      return;
+    }
+    heading.textContent = found.word;
+    results.innerHTML = renderGroups('Consonantes', found.consonant) + renderGroups('Asonantes', found.assonant);
+  }
+
+  function open() {
+    panel.classList.remove('hidden');
+    btnOpen.classList.add('active');
+    render();
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btnOpen.classList.remove('active');
+  }
+
+  function isOpen() { return !panel.classList.contains('hidden'); }
+
+  function insert(word) {
+    editor.focus();
+    const sel = window.getSelection();
+    if (savedRange && inEditor(savedRange.startContainer)) { sel.removeAllRanges(); sel.addRange(savedRange); }
+    // Separar de la palabra anterior si el cursor está pegado a ella
+    const before = EditorCore.textBeforeCaret();
+    EditorCore.insertText((before && !/\s$/.test(before) ? ' ' : '') + word);
+  }
+
+  // Recordar el cursor mientras se escribe, porque al pulsar en el panel se pierde
+  document.addEventListener('selectionchange', () => {
+    const sel = window.getSelection();
+    if (sel && sel.rangeCount && inEditor(sel.anchorNode)) savedRange = sel.getRangeAt(0).cloneRange();
+    if (!isOpen()) return;
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => { if (inEditor(sel && sel.anchorNode)) render(); }, 250);
+  });
+
+  btnOpen.addEventListener('click', () => (isOpen() ? close() : open()));
+  btnClose.addEventListener('click', close);
+
+  // Evitar que el botón robe el foco y la selección del editor
+  results.addEventListener('mousedown', e => { if (e.target.closest('.rhyme-word')) e.preventDefault(); });
+  results.addEventListener('click', e => {
+    const btn = e.target.closest('.rhyme-word');
+    if (btn) insert(btn.dataset.word);
+  });
+
+  return { close };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: SYLLABLE OVERLAY
+   Silabeo del verso actual con la sílaba
+   tónica marcada y las sinalefas unidas (‿)
+══════════════════════════════════════════ */
+const SyllableOverlay = (() => {
+  const overlay = document.getElementById('syllable-overlay');
+  const btn     = document.getElementById('btn-silabeo');
+
+  let active = false;
+  let lastText = '';
+
+  function wordHTML(w, isLast) {
+    const esc = TextTools.escapeHTML;
+    return w.syllables.map((syl, k) => {
+      // La tónica de la última palabra es la que decide la medida del verso
+      const cls = k === w.stressed ? (isLast ? 'syl stressed final' : 'syl stressed') : 'syl';
+      return `<span class="${cls}">${esc(syl)}</span>`;
+    }).join('<span class="syl-sep">-</span>');
+  }
+
+  function render() {
+    const visible = active && Settings.get().metric;
+    overlay.classList.toggle('hidden', !visible);
+    if (!visible) return;
+    const line = Syllables.splitLine(lastText);
+    if (!line.words.length) {
+      overlay.innerHTML = '<span class="syl-empty">Coloca el cursor en un verso para ver su silabeo.</span>';
+      return;
+    }
+    const parts = line.words.map((w, i) => {
+      const html = wordHTML(w, i === line.words.length - 1);
+      if (i === line.words.length - 1) return html;
+      return html + (line.sinalefas.includes(i)
+        ? '<span class="sinalefa" title="Sinalefa">‿</span>'
+        : ' ');
+    });
+    const names  = { aguda: 'aguda', llana: 'llana', esdrujula: 'esdrújula', sobresdrujula: 'sobresdrújula' };
+    const adjust = line.adjust ? ` (${line.adjust > 0 ? '+' : '−'}${Math.abs(line.adjust)} ${names[line.stress]})` : '';
+    overlay.innerHTML = `<span class="syl-line">${parts.join('')}</span>
+      <span class="syl-count">${line.metric} síl. métricas${adjust}</span>`;
+  }
+
+  /** Lo llama el editor cada vez que cambia el verso o la selección */
+  function show(text) {
+    lastText = text || '';
+    if (active) render();
+  }
+
+  btn.addEventListener('click', () => {
+    active = !active;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
+    render();
+  });
+
+  return { show, refresh: render };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: EDITOR CORE
+   El editor trabaja sobre DocModel: cada
+   pulsación se convierte en una operación que
+   cambia el modelo, repinta sus líneas y
+   vuelve a colocar el cursor. Lo que el
+   navegador edita por su cuenta (dictado,
+   IME, corrector) se lee de vuelta del DOM.
+══════════════════════════════════════════ */
+const EditorCore = (() => {
+  const editor = document.getElementById('note-editor');
+  const CARET  = '\uE000';   // marca temporal del cursor al releer el DOM
+  const SHORTCUT_MARKS = { b: 'b', i: 'i', u: 'u' };
+
+  let lines     = DocModel.parse('');
+  let rich      = true;
+  let lastSel   = null;   // última selección dentro del editor
+  let pendingSel = null;  // selección justo antes de que el navegador edite
+  let stored    = null;   // marcas elegidas con el cursor sin selección: { at, marks }
+  const listeners = [];
+
+  // ── Selección: DOM ↔ { line, offset } ─────
+  function docEnd() {
+    const last = lines.length - 1;
+    return { line: last, offset: DocModel.length(lines[last]) };
+  }
+
+  function domToPos(node, offset) {
+    // Un extremo fuera del editor (al arrastrar la selección hasta el gutter
+    // o las estadísticas) se ajusta al principio o al final del documento
+    if (!editor.contains(node)) {
+      return editor.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_PRECEDING ? { line: 0, offset: 0 } : docEnd();
+    }
+    if (node === editor) {
+      if (offset >= editor.childNodes.length) return docEnd();
+      return { line: offset, offset: 0 };
+    }
+    let top = node;
+    while (top.parentNode !== editor) top = top.parentNode;
+    const line  = Math.min([...editor.childNodes].indexOf(top), lines.length - 1);
+    const range = document.createRange();
+    range.setStart(top, 0);
+    range.setEnd(node, offset);
+    return { line, offset: Math.min(range.toString().length, DocModel.length(lines[line])) };
+  }
+
+  function posToDom(pos) {
+    const el = editor.childNodes[pos.line];
+    if (!el) return { node: editor, offset: editor.childNodes.length };
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    let left = pos.offset, node, lastText = null;
+    while ((node = walker.nextNode())) {
+      if (left <= node.textContent.length) return { node, offset: left };
+      left -= node.textContent.length;
+      lastText = node;
+    }
+    return lastText ? { node: lastText, offset: lastText.textContent.length } : { node: el, offset: 0 };
+  }
+
+  function samePos(a, b) { return a.line === b.line && a.offset === b.offset; }
+
+  function getSel() {
+    const s = window.getSelection();
+    if (!s || !s.rangeCount) return null;
+    const r = s.getRangeAt(0);
+    if (!editor.contains(r.startContainer) && !editor.contains(r.endContainer)) return null;
+    return { start: domToPos(r.startContainer, r.startOffset), end: domToPos(r.endContainer, r.endOffset) };
+  }
+
+  function select(sel) {
+    const s = window.getSelection();
+    if (!s) return;
+    const a = posToDom(sel.start), b = posToDom(sel.end);
+    const range = document.createRange();
+    range.setStart(a.node, a.offset);
+    range.setEnd(b.node, b.offset);
+    s.removeAllRanges();
+    s.addRange(range);
+    lastSel = sel;
+  }
+
+  /** Selección actual; si el foco está fuera (un panel, un botón), la última conocida */
+  function current() {
+    const sel = getSel() || lastSel;
+    if (sel && sel.end.line < lines.length) return sel;
+    const end = { line: lines.length - 1, offset: DocModel.length(lines[lines.length - 1]) };
+    return { start: end, end };
+  }
+
+  // ── Pintado ───────────────────────────────
+  function isEmpty() { return lines.length === 1 && !lines[0].runs.length; }
+
+  function paint() {
+    // Vacío de verdad para que se vea el placeholder
+    editor.innerHTML = isEmpty() ? '' : DocModel.render(lines, rich);
+  }
+
+  /** Repinta solo las líneas que cambian */
+  function patch(from, count, inserted) {
+    if (isEmpty() || editor.childNodes.length !== lines.length - inserted.length + count) { paint(); return; }
+    for (let k = 0; k < count; k++) editor.removeChild(editor.childNodes[from]);
+    const tmp = document.createElement('div');
+    tmp.innerHTML = inserted.map(l => DocModel.lineHTML(l, rich)).join('');
+    const frag = document.createDocumentFragment();
+    while (tmp.firstChild) frag.appendChild(tmp.firstChild);
+    editor.insertBefore(frag, editor.childNodes[from] || null);
+  }
+
+  function emit() { listeners.forEach(fn => fn()); }
+
+  /**
+   * Aplica una operación { from, removed, inserted } al modelo y al DOM.
+   * mode: 'patch' (solo esas líneas), 'full' o 'none' (el DOM ya está así).
+   */
+  function apply(op, sel, mode = 'patch') {
+    lines.splice(op.from, op.removed.length, ...op.inserted);
+    if (!lines.length) lines.push(DocModel.parse('')[0]);
+    if (mode === 'patch') patch(op.from, op.removed.length, op.inserted);
+    else if (mode === 'full') paint();
+    if (sel && mode !== 'none') select(sel);
+    emit();
+  }
+
+  function commit(op, before, after, kind) {
+    apply(op, after);
+    EditorHistory.push({ ...op, before, after, kind });
+  }
+
+  // ── Comandos ──────────────────────────────
+  function insertLines(fragment, kind, sel = current()) {
+    const { op, caret } = DocModel.replace(lines, sel.start, sel.end, fragment);
+    commit(op, sel, { start: caret, end: caret }, kind);
+  }
+
+  function insertText(str, kind = 'type') {
+    const sel = current();
+    let marks = {};
+    if (rich) marks = stored && samePos(stored.at, sel.start) ? stored.marks : DocModel.marksAt(lines, sel.start);
+    insertLines(DocModel.fromText(str, marks), kind, sel);
+  }
+
+  /** Borra la selección o, sin selección, el carácter anterior (dir −1) o siguiente (+1) */
+  function remove(dir, sel = current()) {
+    let { start, end } = sel;
+    if (samePos(start, end)) {
+      if (!dir) return;
+      const t = DocModel.text(lines[start.line]);
+      if (dir < 0) {
+        if (start.offset > 0) {
+          const low = t.charCodeAt(start.offset - 1);   // no partir un emoji en dos
+          start = { line: start.line, offset: start.offset - (low >= 0xDC00 && low <= 0xDFFF && start.offset > 1 ? 2 : 1) };
+        } else if (start.line > 0) {
+          start = { line: start.line - 1, offset: DocModel.length(lines[start.line - 1]) };
+        } else return;
+      } else {
+        if (end.offset < t.length) {
+          const high = t.charCodeAt(end.offset);
+          end = { line: end.line, offset: end.offset + (high >= 0xD800 && high <= 0xDBFF ? 2 : 1) };
+        } else if (end.line < lines.length - 1) {
+          end = { line: end.line + 1, offset: 0 };
+        } else return;
+      }
+    }
+    const { op, caret } = DocModel.replace(lines, start, end, []);
+    commit(op, sel, { start: caret, end: caret }, 'delete');
+  }
+
+  /** Marcador de sección en su propia línea, con una línea lista para escribir debajo */
+  function insertSection(label) {
+    const sel    = current();
+    const before = DocModel.text(lines[sel.start.line]).slice(0, sel.start.offset);
+    insertLines(DocModel.fromText(`${before.trim() ? '\n' : ''}[ ${label} ]\n`), 'section', sel);
+  }
+
+  function toggleMark(mark) {
+    if (!rich) return;
+    const sel = current();
+    if (samePos(sel.start, sel.end)) {
+      // Sin selección: la marca se aplica a lo siguiente que se escriba
+      const marks = stored && samePos(stored.at, sel.start) ? stored.marks : DocModel.marksAt(lines, sel.start);
+      stored = { at: sel.start, marks: { ...marks, [mark]: !marks[mark] } };
+      return;
+    }
+    const on = !DocModel.hasMark(lines, sel.start, sel.end, mark);
+    commit(DocModel.setMark(lines, sel.start, sel.end, mark, on), sel, sel, 'format');
+  }
+
+  function undo() {
+    const op = EditorHistory.undo();
+    if (op) apply({ from: op.from, removed: op.inserted, inserted: op.removed }, op.before);
+  }
+
+  function redo() {
+    const op = EditorHistory.redo();
+    if (op) apply({ from: op.from, removed: op.removed, inserted: op.inserted }, op.after);
+  }
+
+  /** Sustituye todo el contenido como una operación más (se puede deshacer) */
+  function replaceAll(html) {
+    setLines(DocModel.parse(TextTools.sanitizeHTML(html), { pre: true }));
+  }
+
+  /** Sustituye todas las líneas (reordenar secciones...), con el cursor en su sitio si sigue existiendo */
+  function setLines(next) {
+    const sel  = current();
+    const clamp = p => {
+      const line = Math.min(p.line, next.length - 1);
+      return { line, offset: Math.min(p.offset, DocModel.length(next[line])) };
+    };
+    commit({ from: 0, removed: lines.slice(), inserted: next }, sel, { start: clamp(sel.start), end: clamp(sel.end) }, 'replace');
+  }
+
+  /** Contenido de una nota recién abierta: historial vacío */
+  function load(html) {
+    lines   = DocModel.parse(TextTools.sanitizeHTML(html), { pre: true });
+    lastSel = null;
+    stored  = null;
+    paint();
+    EditorHistory.reset();
+  }
+
+  /** Sin formato: el navegador solo deja escribir texto y las marcas no se muestran */
+  function setRich(on) {
+    rich = on;
+    try { editor.contentEditable = on ? 'true' : 'plaintext-only'; }
+    catch { editor.contentEditable = 'true'; }   // navegadores sin plaintext-only
+    const sel = getSel();
+    paint();
+    if (sel) select(sel);
+  }
+
+  /** Pegado o arrastrado: HTML saneado en modo enriquecido, si no, texto */
+  function insertTransfer(data, sel) {
+    if (!data) return;
+    const html = rich && data.getData('text/html');
+    const fragment = html
+      ? DocModel.parse(TextTools.sanitizeHTML(html))
+      : DocModel.fromText(data.getData('text/plain'));
+    insertLines(fragment, 'paste', sel);
+  }
+
+  /** Lo que el navegador cambió por su cuenta pasa al modelo como una operación */
+  function syncFromDOM(mode) {
+    let marker = null;
+    const s = window.getSelection();
+    if (mode !== 'none' && s && s.rangeCount && editor.contains(s.focusNode)) {
+      const r = s.getRangeAt(0).cloneRange();
+      r.collapse(false);
+      marker = document.createTextNode(CARET);
+      r.insertNode(marker);
+    }
+    const next = DocModel.parse(editor.innerHTML, { pre: true });
+    if (marker) marker.remove();
+
+    let caret = null;
+    next.forEach((l, i) => {
+      const k = DocModel.text(l).indexOf(CARET);
+      if (k < 0) return;
+      caret = { line: i, offset: k };
+      next[i] = DocModel.concat(DocModel.sliceLine(l, 0, k), DocModel.sliceLine(l, k + 1));
+    });
+
+    let p = 0, q = 0;
+    while (p < lines.length && p < next.length && DocModel.equal(lines[p], next[p])) p++;
+    while (q < lines.length - p && q < next.length - p &&
+           DocModel.equal(lines[lines.length - 1 - q], next[next.length - 1 - q])) q++;
+    const op = { from: p, removed: lines.slice(p, lines.length - q), inserted: next.slice(p, next.length - q) };
+    const after = caret ? { start: caret, end: caret } : null;
+    if (!op.removed.length && !op.inserted.length) {
+      if (mode === 'full') { paint(); if (after) select(after); }   // solo cambió el marcado
+      return;
+    }
+    apply(op, after, mode);
+    EditorHistory.push({ ...op, before: pendingSel || after, after, kind: 'type' });
+    pendingSel = null;
+  }
+
+  /** Rango que el navegador indica para borrados por palabra o por línea */
+  function targetSel(e) {
+    const r = e.getTargetRanges && e.getTargetRanges()[0];
+    if (!r || !editor.contains(r.startContainer) || !editor.contains(r.endContainer)) return null;
+    return { start: domToPos(r.startContainer, r.startOffset), end: domToPos(r.endContainer, r.endOffset) };
+  }
+
+  function removeTarget(e) {
+    const sel = targetSel(e);
+    if (!sel) return false;   // que lo haga el navegador
+    remove(0, sel);
+  }
+
+  // inputType de beforeinput → comando. Lo que no está aquí lo aplica el navegador.
+  const INPUT = {
+    insertText:              e => { if (e.data) insertText(e.data); },
+    insertParagraph:         () => insertText('\n'),
+    insertLineBreak:         () => insertText('\n'),
+    insertFromPaste:         e => insertTransfer(e.dataTransfer),
+    insertFromDrop:          e => insertTransfer(e.dataTransfer, targetSel(e) || current()),
+    deleteContentBackward:   () => remove(-1),
+    deleteContentForward:    () => remove(1),
+    deleteByCut:             () => remove(0),
+    deleteWordBackward:      removeTarget,
+    deleteWordForward:       removeTarget,
+    deleteSoftLineBackward:  removeTarget,
+    deleteSoftLineForward:   removeTarget,
+    deleteHardLineBackward:  removeTarget,
+    deleteHardLineForward:   removeTarget,
+    formatBold:              () => toggleMark('b'),
+    formatItalic:            () => toggleMark('i'),
+    formatUnderline:         () => toggleMark('u'),
+    historyUndo:             undo,
+    historyRedo:             redo
+  };
+
+  editor.addEventListener('compositionstart', () => { pendingSel = getSel(); });
+
+  editor.addEventListener('beforeinput', e => {
+    if (e.isComposing || e.inputType === 'insertCompositionText') return;
+    pendingSel = getSel();
+    const handler = INPUT[e.inputType];
+    if (handler) {
+      if (handler(e) !== false) e.preventDefault();
+      return;
+    }
+    // Listas, enlaces, colores...: el editor no los tiene
+    if (/^format|List$|^insertHorizontalRule$|^insertLink$/.test(e.inputType)) e.preventDefault();
+  });
+
+  // Solo llega 'input' de lo que el navegador editó por su cuenta
+  editor.addEventListener('input', e => syncFromDOM(e.isComposing ? 'none' : 'full'));
+  editor.addEventListener('compositionend', () => syncFromDOM('full'));
+
+  editor.addEventListener('paste', e => {
+    if (!e.clipboardData) return;
+    e.preventDefault();
+    insertTransfer(e.clipboardData);
+  });
+
+  // Atajos: Ctrl/⌘ + Z, Y (o Mayús+Z), B, I, U
+  editor.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    let action = null;
+    if (key === 'z') action = e.shiftKey ? redo : undo;
+    else if (key === 'y') action = redo;
+    else if (SHORTCUT_MARKS[key]) action = () => toggleMark(SHORTCUT_MARKS[key]);
+    if (!action) return;
+    e.preventDefault();
+    action();
+  });
+
+  document.addEventListener('selectionchange', () => {
+    const sel = getSel();
+    if (sel) lastSel = sel;
+  });
+
+  setRich(Settings.get().richText);
+
+  return {
+    load, setRich, insertText, insertSection, toggleMark, undo, redo, replaceAll, setLines,
+    html:  () => DocModel.render(lines),
+    text:  () => lines.map(DocModel.text).join('\n'),
+    lines: () => lines,
+    /** Texto de la línea del cursor, y solo lo que queda antes del cursor */
+    caretLine:       () => DocModel.text(lines[current().start.line]),
+    textBeforeCaret: () => { const s = current().start; return DocModel.text(lines[s.line]).slice(0, s.offset); },
+    onChange: fn => listeners.push(fn)
+  };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: SONG PANEL
+   Panel de estructura de la canción: ordenar
+   secciones arrastrándolas, duplicarlas y
+   definir la forma con la que se canta
+══════════════════════════════════════════ */
+const SongPanel = (() => {
+  const panel     = document.getElementById('song-structure');
+  const btnOpen   = document.getElementById('btn-song-structure');
+  const btnClose  = document.getElementById('song-structure-close');
+  const listEl    = document.getElementById('song-sections');
+  const formInput = document.getElementById('song-form');
+  const formHint  = document.getElementById('song-form-hint');
+  const btnWritten= document.getElementById('song-form-default');
+  const btnExpand = document.getElementById('song-expand');
+
+  let dragged = null;   // índice de la sección que se arrastra
+
+  function note() { return EditorView.getCurrentNote(); }
+
+  function renderHint(list) {
+    const form = formInput.value;
+    const bad  = SongStructure.unknown(list, form);
+    formHint.classList.toggle('poem-warning', bad.length > 0);
+    if (bad.length) {
+      formHint.textContent = `⚠ No hay ninguna sección para: ${bad.join(', ')}`;
+    } else if (SongStructure.tokens(form).length) {
+      formHint.textContent = SongStructure.tokens(form).map(t => SongStructure.find(list, t).label).join(' → ');
+    } else {
+      formHint.textContent = 'Sin forma: la canción se canta tal como está escrita.';
+    }
+  }
+
+  function render() {
+    const lines = EditorCore.lines();
+    const list  = SongStructure.sections(lines);
+    const esc   = TextTools.escapeHTML;
+    const rows  = list.map((s, i) => {
+      if (!s.label) return '';
+      const verses = lines.slice(s.start + 1, s.end).filter(l => DocModel.text(l).trim()).length;
+      return `<div class="song-section-row" draggable="true" data-index="${i}">
+        <span class="song-section-abbr">${esc(s.abbr)}</span>
+        <span class="song-section-label">${esc(s.label)}</span>
+        <span class="song-section-size">${verses} ${verses === 1 ? 'línea' : 'líneas'}</span>
+        <button class="btn-icon song-section-move" data-index="${i}" data-dir="-1" aria-label="Subir sección" title="Subir sección">↑</button>
+        <button class="btn-icon song-section-move" data-index="${i}" data-dir="1" aria-label="Bajar sección" title="Bajar sección">↓</button>
+        <button class="btn-icon song-section-dup" data-index="${i}" aria-label="Duplicar sección" title="Duplicar sección">⧉</button>
+      </div>`;
+    }).join('');
+    listEl.innerHTML = rows || '<p class="rhyme-empty">Añade secciones con los botones Intro, Verso, Estribillo...</p>';
+    formInput.placeholder = SongStructure.defaultForm(list) || 'V1-E-V2-E-P-E';
+    if (document.activeElement !== formInput) formInput.value = note().form || '';
+    renderHint(list);
+  }
+
+  function open() {
+    panel.classList.remove('hidden');
+    btnOpen.classList.add('active');
+    render();
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btnOpen.classList.remove('active');
+  }
+
+  function isOpen() { return !panel.classList.contains('hidden'); }
+
+  function saveForm() {
+    const n = note();
+    if (!n) return;
+    n.form = formInput.value.trim() || null;
+    NotesManager.save(n);
+  }
+
+  btnOpen.addEventListener('click', () => (isOpen() ? close() : open()));
+  btnClose.addEventListener('click', close);
+
+  listEl.addEventListener('click', e => {
+    const btn = e.target.closest('.song-section-dup');
+    if (btn) EditorCore.setLines(SongStructure.duplicate(EditorCore.lines(), Number(btn.dataset.index)));
+    const mv = e.target.closest('.song-section-move');
+    if (mv) moveBy(Number(mv.dataset.index), Number(mv.dataset.dir));
+  });
+
+  /** Sube (-1) o baja (1) una sección por encima o por debajo de su vecina con etiqueta */
+  function moveBy(i, dir) {
+    const lines = EditorCore.lines();
+    const list  = SongStructure.sections(lines);
+    let j = i + dir;
+    while (list[j] && !list[j].label) j += dir;
+    if (list[j]) EditorCore.setLines(SongStructure.move(lines, i, j, dir > 0));
+  }
+
+  // Arrastrar una sección encima de otra: en su mitad inferior queda detrás
+  listEl.addEventListener('dragstart', e => {
+    const row = e.target.closest('.song-section-row');
+    if (!row) return;
+    dragged = Number(row.dataset.index);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', row.dataset.index);
+    row.classList.add('dragging');
+  });
+  listEl.addEventListener('dragend', e => {
+    dragged = null;
+    e.target.closest('.song-section-row')?.classList.remove('dragging');
+  });
+  listEl.addEventListener('dragover', e => {
+    const row = e.target.closest('.song-section-row');
+    if (dragged === null || !row || Number(row.dataset.index) === dragged) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+  listEl.addEventListener('drop', e => {
+    e.preventDefault();
+    const row = e.target.closest('.song-section-row');
+    if (dragged === null || !row || Number(row.dataset.index) === dragged) return;
+    const rect  = row.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    EditorCore.setLines(SongStructure.move(EditorCore.lines(), dragged, Number(row.dataset.index), after));
+    dragged = null;
+  });
+
+  formInput.addEventListener('input', () => renderHint(SongStructure.sections(EditorCore.lines())));
+  formInput.addEventListener('change', saveForm);
+
+  btnWritten.addEventListener('click', () => {
+    formInput.value = SongStructure.defaultForm(SongStructure.sections(EditorCore.lines()));
+    saveForm();
+    render();
+  });
+
+  btnExpand.addEventListener('click', () => {
+    EditorView.flush();
+    const n = note();
+    const text = ShareModal.getPlainText(n);
+    Files.download(new Blob([text], { type: 'text/plain;charset=utf-8' }), `${Files.safeName(n.title)}.txt`);
+  });
+
+  // Las secciones cambian con cada edición
+  EditorCore.onChange(() => { if (isOpen()) render(); });
+
+  return { close };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: AUDIO PANEL
+   Grabar ideas con el micrófono y escucharlas
+   en bucle o más despacio desde el editor
+══════════════════════════════════════════ */
+const AudioPanel = (() => {
+  const panel     = document.getElementById('audio-panel');
+  const btnOpen   = document.getElementById('btn-audio');
+  const btnClose  = document.getElementById('audio-close');
+  const btnRecord = document.getElementById('audio-record');
+  const timerEl   = document.getElementById('audio-timer');
+  const errorEl   = document.getElementById('audio-error');
+  const listEl    = document.getElementById('audio-list');
+  const loopBox   = document.getElementById('audio-loop');
+  const speedSel  = document.getElementById('audio-speed');
+
+  const player = new Audio();
+  const esc    = str => TextTools.escapeHTML(str);
+
+  let recorder  = null;
+  let startedAt = 0;
+  let tick      = null;
+  let playingId = null;
+  let playUrl   = null;
+
+  function note() { return EditorView.getCurrentNote(); }
+
+  /** La nota abierta si es esa; si no, la guardada (una grabación puede acabar tras cambiar de nota) */
+  function noteById(id) {
+    const current = note();
+    return current && current.id === id ? current : NotesManager.getById(id);
+  }
+
+  function formatDate(ts) {
+    return new Date(ts).toLocaleString('es-ES', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+  }
+
+  function render() {
+    const memos = AudioMemos.list(note());
+    listEl.innerHTML = memos.length ? memos.map(m => `
+      <div class="audio-memo" data-id="${esc(m.id)}">
+        <button class="btn-icon audio-play" aria-label="${m.id === playingId ? 'Pausar' : 'Reproducir'}">${m.id === playingId ? '❚❚' : '▶'}</button>
+        <input type="text" class="text-input audio-name" value="${esc(m.name)}" aria-label="Nombre de la grabación" />
+        <span class="audio-meta">${TextTools.formatDuration(m.duration)} · ${formatDate(m.createdAt)}</span>
+        <button class="btn-icon audio-download" aria-label="Descargar" title="Descargar">⇩</button>
+        <button class="btn-icon audio-delete" aria-label="Eliminar grabación" title="Eliminar grabación">✕</button>
+      </div>`).join('')
+      : '<p class="rhyme-empty">Graba una melodía o una idea para esta nota.</p>';
+  }
+
+  function showError(message) {
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+  }
+
+  function renderRecording() {
+    const on = !!recorder;
+    btnRecord.textContent = on ? '■ Detener' : '● Grabar';
+    btnRecord.classList.toggle('recording', on);
+    timerEl.classList.toggle('hidden', !on);
+    timerEl.textContent = TextTools.formatDuration(on ? (Date.now() - startedAt) / 1000 : 0);
+  }
+
+  /* ── Grabación ── */
+
+  async function startRecording() {
+    errorEl.classList.add('hidden');
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || !window.MediaRecorder) {
+      showError('Este navegador no permite grabar audio.');
+      return;
+    }
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+      showError('No se pudo usar el micrófono. Revisa los permisos del navegador.');
+      return;
+    }
+    const noteId = note().id;
+    const chunks = [];
+    try {
+      recorder = new MediaRecorder(stream);
+    } catch {
+      stream.getTracks().forEach(t => t.stop());
+      recorder = null;
+      showError('Este navegador no puede grabar audio en ningún formato compatible.');
+      return;
+    }
+    startedAt = Date.now();
+    recorder.addEventListener('dataavailable', e => { if (e.data && e.data.size) chunks.push(e.data); });
+    recorder.addEventListener('stop', () => {
+      stream.getTracks().forEach(t => t.stop());
+      finish(noteId, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }), (Date.now() - startedAt) / 1000);
+    });
+    recorder.start();
+    tick = setInterval(renderRecording, 500);
+    renderRecording();
+  }
+
+  function stopRecording() {
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+  }
+
+  async function finish(noteId, blob, duration) {
+    recorder = null;
+    clearInterval(tick);
+    renderRecording();
+    const n = noteById(noteId);
+    if (!blob.size || !n) return;
+    if (!await AudioMemos.add(n, blob, duration)) {
+      Toast.show('No se pudo guardar la grabación.', { error: true });
+      return;
+    }
+    NotesManager.save(n);
+    if (isOpen() && note().id === noteId) render();
+  }
+
+  /* ── Reproducción ── */
+
+  async function play(id) {
+    const same = playingId === id;
+    stopPlayback();
+    if (!same) {
+      const blob = await AudioMemos.blob(id);
+      if (!blob) {
+        Toast.show('No se encuentra el audio de esta grabación.', { error: true });
+      } else {
+        playUrl = URL.createObjectURL(blob);
+        player.src = playUrl;
+        // Al cambiar de audio se pierde la velocidad: se aplica después
+        player.loop = loopBox.checked;
+        player.playbackRate = Number(speedSel.value);
+        playingId = id;
+        player.play().catch(() => { stopPlayback(); render(); });
+      }
+    }
+    render();
+  }
+
+  function stopPlayback() {
+    player.pause();
+    if (playUrl) URL.revokeObjectURL(playUrl);
+    playUrl   = null;
+    playingId = null;
+  }
+
+  function open() {
+    panel.classList.remove('hidden');
+    btnOpen.classList.add('active');
+    render();
+  }
+
+  /** Al cerrar o cambiar de nota se detienen la grabación (que se guarda) y la reproducción */
+  function close() {
+    stopRecording();
+    stopPlayback();
+    panel.classList.add('hidden');
+    btnOpen.classList.remove('active');
+  }
+
+  function isOpen() { return !panel.classList.contains('hidden'); }
+
+  function memoId(e) {
+    const row = e.target.closest('.audio-memo');
+    return row ? row.dataset.id : null;
+  }
+
+  btnOpen.addEventListener('click', () => (isOpen() ? close() : open()));
+  btnClose.addEventListener('click', close);
+  btnRecord.addEventListener('click', () => (recorder ? stopRecording() : startRecording()));
+
+  player.addEventListener('ended', () => { stopPlayback(); render(); });
+  loopBox.addEventListener('change', () => { player.loop = loopBox.checked; });
+  speedSel.addEventListener('change', () => { player.playbackRate = Number(speedSel.value); });
+
+  listEl.addEventListener('click', async e => {
+    const id = memoId(e);
+    if (!id) return;
+    const n = note();
+    const memo = AudioMemos.list(n).find(m => m.id === id);
+    if (e.target.closest('.audio-play')) {
+      play(id);
+    } else if (e.target.closest('.audio-download')) {
+      const blob = await AudioMemos.blob(id);
+      if (blob) Files.download(blob, `${Files.safeName(memo.name, 'grabacion')}.${AudioMemos.extension(memo.type)}`);
+    } else if (e.target.closest('.audio-delete')) {
+      if (!confirm(`¿Eliminar la grabación "${memo.name}"?`)) return;
+      if (playingId === id) stopPlayback();
+      AudioMemos.remove(n, id);
+      NotesManager.save(n);
+      render();
+    }
+  });
+
+  listEl.addEventListener('change', e => {
+    const input = e.target.closest('.audio-name');
+    if (!input) return;
+    const n = note();
+    const name = input.value.trim();
+    if (name) {
+      AudioMemos.rename(n, memoId(e), name);
+      NotesManager.save(n);
+    }
+    render();
+  });
+
+  return { close };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: EDITOR VIEW
+══════════════════════════════════════════ */
+const EditorView = (() => {
+  let currentNote = null;
+  let saveTimer   = null;
+  let idleTimer   = null;
+
+  const IDLE_MS = 60000;   // tras un minuto sin escribir se guarda una versión
+
+  // Elementos
+  const viewList   = document.getElementById('view-list');
+  const viewEditor = document.getElementById('view-editor');
+  const btnBack    = document.getElementById('btn-back');
+  const btnFav     = document.getElementById('btn-fav');
+  const btnTags    = document.getElementById('btn-tags');
+  const btnShare   = document.getElementById('btn-share');
+  const btnHistory = document.getElementById('btn-history');
+  const btnPerform = document.getElementById('btn-perform');
+  const btnDelete  = document.getElementById('btn-delete');
+  const titleInput = document.getElementById('note-title');
+  const editor     = document.getElementById('note-editor');
+  const songToolbar= document.getElementById('song-toolbar');
+  const langSelect = document.getElementById('note-lang');
+  const bookSelect = document.getElementById('note-notebook');
+  const poemGuide  = document.getElementById('poem-guide');
+  const typeBadge  = document.getElementById('editor-type-badge');
+  const noteTagsBar= document.getElementById('note-tags-bar');
+
+  // Stats
+  const statWords  = document.getElementById('stat-words');
+  const statSyl    = document.getElementById('stat-syllables');
+  const statChars  = document.getElementById('stat-chars');
+
+  // Métrica
+  const metricSyl  = document.getElementById('metric-syllables');
+  const metricType = document.getElementById('metric-type');
+
+  function open(noteId) {
+    if (noteId) {
+      currentNote = NotesManager.getById(noteId);
+    }
+    if (!currentNote) return;
+
+    // Animar entrada
+    viewList.classList.add('hidden');
+    viewEditor.classList.remove('hidden');
+    viewEditor.classList.add('entering');
+    setTimeout(() => viewEditor.classList.remove('entering'), 300);
+
+    // Poblar editor
+    applyLanguage();
+    renderNotebookSelect();
+    titleInput.value    = currentNote.title;
+    EditorCore.load(currentNote.content);
+    updateFavBtn();
+    updateTypeBadge();
+    renderNoteTagsBar();
+    updateStats();
+
+    ChordView.reset();
+    RhymePanel.close();
+    SongPanel.close();
+    AudioPanel.close();
+
+    // Mostrar/ocultar toolbars según tipo
+    if (currentNote.type === 'song') {
+      songToolbar.classList.remove('hidden');
+      poemGuide.classList.add('hidden');
+      poemGuide.innerHTML = '';
+    } else {
+      songToolbar.classList.add('hidden');
+      renderPoemGuide();
+    }
+
+    MetricGutter.update(Structures.get(currentNote.structure));
+    editor.focus();
+  }
+
+  function openNew(note) {
+    currentNote = note;
+    open(null);
+  }
+
+  function renderNotebookSelect() {
+    bookSelect.innerHTML = '<option value="">Sin cuaderno</option>' +
+      Notebooks.all().map(b => `<option value="${TextTools.escapeHTML(b.id)}">${TextTools.escapeHTML(b.name)}</option>`).join('');
+    bookSelect.value = Notebooks.get(currentNote.notebook) ? currentNote.notebook : '';
+  }
+
+  /** Las sílabas se cuentan con el motor del idioma de la nota */
+  function applyLanguage() {
+    const lang = currentNote.lang || Settings.get().lang;
+    Syllables.setLanguage(lang);
+    langSelect.value = lang;
+  }
+
+  function close() {
+    AudioPanel.close();
+    saveNow();
+    clearTimeout(saveTimer);
+    clearTimeout(idleTimer);
+    Revisions.capture(currentNote, 'close').catch(err => console.warn('[Revisions] error al guardar:', err));
+    // Sin nota abierta, un guardado tardío no puede volver a tocarla
+    currentNote = null;
+    viewEditor.classList.add('hidden');
+    viewList.classList.remove('hidden');
+    ListView.render();
+  }
+
+  function saveNow() {
+    if (!currentNote || viewEditor.classList.contains('hidden')) return;
+    currentNote.title   = titleInput.value.trim();
+    currentNote.content = EditorCore.html();
+    NotesManager.save(currentNote);
+  }
+
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveNow, 800);
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      saveNow();
+      Revisions.capture(currentNote, 'idle').catch(err => console.warn('[Revisions] error al guardar:', err));
+    }, IDLE_MS);
+  }
+
+  function updateFavBtn() {
+    btnFav.textContent = currentNote.favorite ? '★' : '☆';
+    btnFav.classList.toggle('active', currentNote.favorite);
+  }
+
+  function updateTypeBadge() {
+    typeBadge.textContent = currentNote.type === 'poem' ? 'Poesía' : 'Canción';
+    typeBadge.className   = `type-badge ${currentNote.type}`;
+  }
+
+  function renderNoteTagsBar() {
+    noteTagsBar.innerHTML = '';
+    (currentNote.tags || []).forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip removable';
+      chip.textContent = tag;
+      chip.addEventListener('click', () => {
+        currentNote.tags = currentNote.tags.filter(t => t !== tag);
+        NotesManager.save(currentNote);
+        renderNoteTagsBar();
+      });
+      noteTagsBar.appendChild(chip);
+    });
+  }
+
+  /**
+   * Guía de la estructura con el progreso en vivo de cada estrofa
+   * ("1.er Cuarteto: 3/4 versos"), avisos y el esquema de rima detectado.
+   */
+  function renderPoemGuide() {
+    const struct = Structures.get(currentNote.structure);
+    if (!struct) {
+      poemGuide.classList.add('hidden');
+      poemGuide.innerHTML = '';
+      return;
+    }
+    poemGuide.classList.remove('hidden');
+
+    const model  = PoemModel.parse(EditorCore.text());
+    const result = PoemModel.validate(model, struct);
+
+    const esc = TextTools.escapeHTML;
+    let html;
+    if (!result) {
+      // Formas sin número fijo de versos: solo la pista
+      html = `<div class="poem-verse-hint">${esc(struct.name)}: ${esc(struct.stanzas[0].hint)}</div>`;
+    } else {
+      html = result.stanzas.map(st => `
+        <div class="poem-stanza ${st.status}">
+          <div class="poem-stanza-label">${esc(st.label)}: ${st.actual}/${st.expected} versos${st.status === 'complete' ? ' ✓' : ''}</div>
+          <div class="poem-verse-hint">${esc(st.hint)}</div>
+        </div>`).join('') +
+        result.warnings.map(w => `<div class="poem-verse-hint poem-warning">⚠ ${esc(w)}</div>`).join('');
+    }
+
+    poemGuide.innerHTML = html + renderRhymeCheck(model, struct);
+  }
+
+  /** Esquema de rima detectado, con los versos que no cumplen la estructura marcados */
+  function renderRhymeCheck(model, struct) {
+    if (model.verses.length === 0) return '';
+    const result = Rhyme.validate(model.verses, PoemModel.expectedRhymes(model, struct));
+
+    // Letras agrupadas por estrofa: "ABBA ABBA CDC DCD"
+    let v = 0;
+    const parts = model.stanzas.map(st => st.verses.map(() => {
+      const r = result[v++];
+      const letter = r.letter || '·';
+      return r.ok ? letter : `<span class="rhyme-mismatch">${letter}</span>`;
+    }).join(''));
+
+    const flags = result.map((r, i) => r.ok ? '' :
+      `<div class="poem-verse-hint rhyme-mismatch">⚠ Verso ${i + 1}${r.ending ? ` (-${TextTools.escapeHTML(r.ending)})` : ''}: debería rimar en ${r.expected}</div>`
+    ).join('');
+
+    return `<div class="poem-rhyme-check">
+      <div class="poem-verse-hint">Rima detectada: ${parts.join(' ')}</div>${flags}
+    </div>`;
+  }
+
+  function updateStats() {
+    const text = EditorCore.text();
+    const words = Syllables.countWords(text);
+    const syls  = Syllables.countText(text);
+    const chars = text.length;
+    statWords.textContent = `${words} palabra${words !== 1 ? 's' : ''}`;
+    statSyl.textContent   = `${syls} síl.`;
+    statChars.textContent = `${chars} car.`;
+  }
+
+  /** Muestra en la toolbar el cómputo métrico junto al gramatical */
+  function showMetric(text) {
+    const { grammatical, metric } = Syllables.analyzeLine(text);
+    metricSyl.textContent  = metric !== grammatical
+      ? `${metric} síl. (${grammatical} gram.)`
+      : `${metric} síl.`;
+    const r = Syllables.rhythm(text);
+    metricType.textContent = metric > 0
+      ? `${Syllables.verseName(metric)}${r.type ? ' ' + r.type : ''}: ${r.positions.join('-')}` +
+        (r.missing.length ? ` ⚠ sin acento en ${r.missing.map(p => p + '.ª').join(' y ')}` : '')
+      : '—';
+    metricType.classList.toggle('metric-warning', r.missing.length > 0);
+    SyllableOverlay.show(text);
+  }
+
+  function updateMetric() {
+    // La línea entera del cursor, aunque tenga partes en negrita o cursiva
+    showMetric(EditorCore.caretLine().trim());
+  }
+
+  // ── Eventos del editor ──
+  titleInput.addEventListener('input', scheduleSave);
+
+  EditorCore.onChange(() => {
+    if (!currentNote) return;
+    updateStats();
+    updateMetric();
+    if (currentNote.type === 'poem') renderPoemGuide();
+    else ChordView.refresh();
+    MetricGutter.update();
+    scheduleSave();
+  });
+
+  editor.addEventListener('keyup', updateMetric);
+  editor.addEventListener('click', updateMetric);
+
+  // Selección de texto → métrica
+  document.addEventListener('selectionchange', () => {
+    if (!viewEditor.classList.contains('hidden')) {
+      const sel = window.getSelection();
+      if (sel && sel.toString().trim()) showMetric(sel.toString());
+    }
+  });
+
+  // Botón volver
+  btnBack.addEventListener('click', close);
+
+  // Sin base de datos no se aceptan más cambios: lo escrito se perdería al recargar
+  Storage.onClosed(() => {
+    clearTimeout(saveTimer);
+    clearTimeout(idleTimer);
+    editor.contentEditable = 'false';
+    titleInput.disabled = true;
+  });
+
+  // Cuaderno de la nota (va al final del orden manual del cuaderno nuevo)
+  bookSelect.addEventListener('change', () => {
+    if (!currentNote) return;
+    currentNote.notebook = bookSelect.value || null;
+    scheduleSave();
+  });
+
+  // Idioma de la nota
+  langSelect.addEventListener('change', () => {
+    if (!currentNote) return;
+    currentNote.lang = langSelect.value;
+    applyLanguage();
+    updateStats();
+    updateMetric();
+    if (currentNote.type === 'poem') renderPoemGuide();
+    MetricGutter.update();
+    scheduleSave();
+  });
+
+  // Favorito
+  btnFav.addEventListener('click', () => {
+    if (!currentNote) return;
+    currentNote.favorite = !currentNote.favorite;
+    updateFavBtn();
+    NotesManager.save(currentNote);
+  });
+
+  // Tags
+  btnTags.addEventListener('click', () => TagsModal.open(currentNote, () => {
+    renderNoteTagsBar();
+    NotesManager.save(currentNote);
+  }));
+
+  // Compartir
+  btnShare.addEventListener('click', () => {
+    saveNow();
+    ShareModal.open(currentNote);
+  });
+
+  // Modo actuación
+  btnPerform.addEventListener('click', () => {
+    saveNow();
+    Performance.open(currentNote);
+  });
+
+  // Historial de versiones
+  btnHistory.addEventListener('click', () => {
+    saveNow();
+    HistoryModal.open(currentNote);
+  });
+
+  // Eliminar: sin el guardado ni la versión de cierre, que volverían a crear lo que se borra
+  btnDelete.addEventListener('click', () => {
+    if (!currentNote) return;
+    if (!confirm(`¿Eliminar "${currentNote.title || 'Sin título'}"? Se borran también su historial y sus grabaciones.`)) return;
+    const id = currentNote.id;
+    // Detiene la grabación en curso y suelta el micrófono: su audio no se guarda
+    AudioPanel.close();
+    clearTimeout(saveTimer);
+    clearTimeout(idleTimer);
+    currentNote = null;
+    viewEditor.classList.add('hidden');
+    viewList.classList.remove('hidden');
+    NotesManager.remove(id);
+    ListView.render();
+    Toast.show('Nota eliminada');
+  });
+
+  // Song section buttons
+  songToolbar.querySelectorAll('.section-btn[data-section]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const section = btn.dataset.section;
+      insertSectionMarker(section);
+    });
+  });
+
+  function insertSectionMarker(section) {
+    editor.focus();
+    // Los versos se numeran: Verso 1, Verso 2...
+    if (section === 'Verso') {
+      section += ' ' + (SongStructure.sections(EditorCore.lines()).filter(s => s.kind === 'verse').length + 1);
+    }
+    EditorCore.insertSection(section);
+  }
+
+  // Rich text buttons
+  const FORMATS = { bold: 'b', italic: 'i', underline: 'u' };
+  document.getElementById('rich-toolbar').querySelectorAll('.fmt-btn').forEach(btn => {
+    // Sin robar el foco: la selección del editor sigue donde estaba
+    btn.addEventListener('mousedown', e => e.preventDefault());
+    btn.addEventListener('click', () => {
+      const cmd = btn.dataset.cmd;
+      if (cmd === 'undo') EditorCore.undo();
+      else if (cmd === 'redo') EditorCore.redo();
+      else EditorCore.toggleMark(FORMATS[cmd]);
+    });
+  });
+
+  // Plain undo/redo
+  document.getElementById('btn-undo').addEventListener('click', EditorCore.undo);
+  document.getElementById('btn-redo').addEventListener('click', EditorCore.redo);
+
+  return { open, openNew, close, flush: saveNow, getCurrentNote: () => currentNote };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: PERFORMANCE
+   Modo actuación: la nota a pantalla completa
+   con desplazamiento automático, paso de
+   página por toques o pedal y la pantalla
+   siempre encendida
+══════════════════════════════════════════ */
+const Performance = (() => {
+  const view       = document.getElementById('performance');
+  const scroller   = document.getElementById('perf-scroll');
+  const content    = document.getElementById('perf-content');
+  const titleEl    = document.getElementById('perf-title');
+  const btnClose   = document.getElementById('perf-close');
+  const btnPlay    = document.getElementById('perf-play');
+  const speedInput = document.getElementById('perf-speed');
+  const speedLabel = document.getElementById('perf-speed-label');
+  const bpmInput   = document.getElementById('perf-bpm');
+  const durInput   = document.getElementById('perf-duration');
+  const btnFit     = document.getElementById('perf-fit');
+  const btnChords  = document.getElementById('perf-chords');
+  const btnNext    = document.getElementById('perf-next');
+
+  const PAGE           = 0.85;   // fracción de pantalla que avanza cada paso de página
+  const BEATS_PER_LINE = 4;      // sin duración, cada verso dura un compás de 4/4
+  const CHORD_RE       = /\[[^\[\]\s]+\]/g;
+
+  const NEXT = ['PageDown', 'ArrowDown', 'ArrowRight', 'Enter'];
+  const PREV = ['PageUp', 'ArrowUp', 'ArrowLeft'];
+
+  let queue      = [];      // [{ note, bpm, duration, key, notes }]: una nota o un setlist
+  let index      = 0;
+  let note       = null;
+  let playing    = false;
+  let frame      = null;
+  let last       = 0;
+  let pos        = 0;       // posición con decimales: scrollTop solo guarda enteros
+  let wakeLock   = null;
+  let showChords = true;
+
+  function isOpen() { return !view.classList.contains('hidden'); }
+
+  /** Líneas en el orden en que se cantan: las canciones siguen su forma y el tono pedido */
+  function lines() {
+    const html  = TextTools.sanitizeHTML(note.content);
+    const steps = Chords.stepsTo(TextTools.fromHTML(html), queue[index].key);
+    const all   = DocModel.parse(steps ? Chords.transposeText(html, steps) : html, { pre: true });
+    return note.type === 'song' ? SongStructure.expand(all, note.form) : all;
+  }
+
+  function render() {
+    const esc = TextTools.escapeHTML;
+    const ls  = lines();
+    const chords = note.type === 'song' && Chords.hasChords(ls.map(DocModel.text).join('\n'));
+    btnChords.classList.toggle('hidden', !chords);
+    btnChords.classList.toggle('active', showChords);
+    btnChords.setAttribute('aria-pressed', String(showChords));
+    titleEl.textContent = (queue.length > 1 ? `${index + 1}/${queue.length} · ` : '') + (note.title || 'Sin título');
+    const next = queue[index + 1];
+    btnNext.classList.toggle('hidden', !next);
+    btnNext.textContent = next ? `${next.note.title || 'Sin título'} ›` : '';
+    const entry = queue[index];
+    const info  = [entry.key && `Tono ${entry.key}`, entry.bpm && `${entry.bpm} BPM`, entry.notes].filter(Boolean);
+    content.innerHTML = (info.length
+      ? `<div class="perf-info" style="color:var(--text-muted);font-size:.6em">${esc(info.join(' · '))}</div>`
+      : '') + ls.map(line => {
+      const text = DocModel.text(line);
+      if (DocModel.isSection(line)) {
+        return `<div class="perf-section" style="font-weight:bold;color:var(--accent);margin:1.2em 0 .4em">${esc(text.trim().slice(1, -1).trim())}</div>`;
+      }
+      if (!chords || !text.trim()) return DocModel.lineHTML(line);
+      return showChords ? Chords.toHTML(text) : `<div>${esc(text.replace(CHORD_RE, ''))}</div>`;
+    }).join('');
+  }
+
+  function distance() { return Math.max(0, scroller.scrollHeight - scroller.clientHeight); }
+
+  function speed() { return +speedInput.value; }
+
+  function updateSpeedLabel() {
+    const d = distance();
+    speedLabel.textContent = d ? '≈ ' + TextTools.formatDuration(d / speed()) : '';
+  }
+
+  function setSpeed(pxPerSec) {
+    speedInput.value = Math.min(+speedInput.max, Math.max(+speedInput.min, Math.round(pxPerSec)));
+    const s = Settings.get();
+    s.perfSpeed = speed();
+    Storage.saveSettings(s);
+    updateSpeedLabel();
+  }
+
+  /**
+   * Velocidad para recorrer la nota en la duración indicada o, si solo hay
+   * tempo, en lo que duran los versos a ese tempo
+   */
+  function fit() {
+    let sec = TextTools.parseDuration(durInput.value);
+    const bpm = +bpmInput.value;
+    if (!sec && bpm > 0) {
+      const sung = lines().filter(l => DocModel.text(l).trim() && !DocModel.isSection(l)).length;
+      sec = sung * BEATS_PER_LINE * 60 / bpm;
+    }
+    if (!sec || !distance()) return false;
+    setSpeed(distance() / sec);
+    return true;
+  }
+
+  // ── Desplazamiento automático ──
+
+  function step(now) {
+    if (last) {
+      pos = Math.min(distance(), pos + speed() * (now - last) / 1000);
+      scroller.scrollTop = pos;
+      if (pos >= distance()) { pause(); return; }
+    }
+    last  = now;
+    frame = requestAnimationFrame(step);
+  }
+
+  function play() {
+    if (playing || pos >= distance()) return;
+    playing = true;
+    last    = 0;
+    pos     = scroller.scrollTop;
+    btnPlay.textContent = '❚❚';
+    view.classList.add('playing');
+    frame = requestAnimationFrame(step);
+  }
+
+  function pause() {
+    playing = false;
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    btnPlay.textContent = '▶';
+    view.classList.remove('playing');
+  }
+
+  /** Avanza (1) o retrocede (-1) una pantalla; en los extremos pasa a la canción vecina del setlist */
+  function turn(dir) {
+    if (dir > 0 && scroller.scrollTop >= distance() && index < queue.length - 1) { load(index + 1); return; }
+    if (dir < 0 && scroller.scrollTop <= 0 && index > 0) { load(index - 1); return; }
+    pos = Math.min(distance(), Math.max(0, scroller.scrollTop + dir * scroller.clientHeight * PAGE));
+    scroller.scrollTop = pos;
+    last = 0;   // el desplazamiento sigue desde aquí sin dar un salto
+  }
+
+  // ── Pantalla encendida ──
+
+  async function keepAwake() {
+    if (wakeLock || !('wakeLock' in navigator)) return;
+    try {
+      wakeLock = await navigator.wakeLock.request('screen');
+      wakeLock.addEventListener('release', () => { wakeLock = null; });
+    } catch { /* batería baja o sin permiso: la pantalla se apaga como siempre */ }
+  }
+
+  function releaseWakeLock() {
+    if (wakeLock) wakeLock.release().catch(() => {});
+    wakeLock = null;
+  }
+
+  /** Muestra la canción i de la cola desde el principio */
+  function load(i) {
+    const entry = queue[i];
+    index = i;
+    note  = entry.note;
+    pause();
+    bpmInput.value = entry.bpm || '';
+    durInput.value = entry.duration ? TextTools.formatDuration(entry.duration) : '';
+    speedInput.value = Settings.get().perfSpeed;
+    render();
+    scroller.scrollTop = pos = 0;
+    if (entry.bpm || entry.duration) fit();
+    updateSpeedLabel();
+  }
+
+  /**
+   * Abre la nota en modo actuación. opts: { bpm, duration, key, notes } con
+   * la duración en segundos; si hay tempo o duración, la velocidad se ajusta
+   * a ellos, y con key los acordes se transportan a ese tono
+   */
+  function open(n, opts = {}) {
+    openSet([{ ...opts, note: n }], 0);
+  }
+
+  /** Abre una lista de canciones (entradas como las de open) por la posición start */
+  function openSet(entries, start = 0) {
+    if (!entries.length) return;
+    queue = entries;
+    view.classList.remove('hidden');
+    load(start);
+    if (view.requestFullscreen && !document.fullscreenElement) view.requestFullscreen().catch(() => {});
+    keepAwake();
+    view.focus();
+  }
+
+  function close() {
+    pause();
+    view.classList.add('hidden');
+    releaseWakeLock();
+    if (document.fullscreenElement === view) document.exitFullscreen().catch(() => {});
+  }
+
+  btnClose.addEventListener('click', close);
+  btnNext.addEventListener('click', () => load(index + 1));
+  btnPlay.addEventListener('click', () => (playing ? pause() : play()));
+  speedInput.addEventListener('input', () => setSpeed(speed()));
+  btnFit.addEventListener('click', () => {
+    if (!fit()) Toast.show('Indica la duración (m:ss) o el tempo');
+  });
+  btnChords.addEventListener('click', () => {
+    showChords = !showChords;
+    const ratio = distance() ? scroller.scrollTop / distance() : 0;
+    render();
+    scroller.scrollTop = pos = ratio * distance();
+    updateSpeedLabel();
+  });
+
+  // Zonas táctiles: el tercio superior retrocede, el resto avanza
+  scroller.addEventListener('click', e => {
+    if (window.getSelection().toString()) return;
+    const rect = scroller.getBoundingClientRect();
+    turn(e.clientY < rect.top + rect.height / 3 ? -1 : 1);
+  });
+
+  // Si se desplaza a mano, el automático continúa desde ahí
+  scroller.addEventListener('scroll', () => {
+    if (Math.abs(scroller.scrollTop - pos) > 2) pos = scroller.scrollTop;
+  });
+
+  // Teclado y pedales Bluetooth (envían flechas o avance/retroceso de página)
+  document.addEventListener('keydown', e => {
+    if (!isOpen()) return;
+    if (e.key === 'Escape') { close(); return; }
+    if (e.target.closest('input')) return;
+    if (e.key === ' ') playing ? pause() : play();
+    else if (NEXT.includes(e.key)) turn(1);
+    else if (PREV.includes(e.key)) turn(-1);
+    else return;
+    e.preventDefault();
+  });
+
+  // El bloqueo se pierde al cambiar de app; se pide de nuevo al volver
+  document.addEventListener('visibilitychange', () => {
+    if (isOpen() && document.visibilityState === 'visible') keepAwake();
+  });
+
+  return { open, openSet, close };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: TAGS MODAL
+══════════════════════════════════════════ */
+const TagsModal = (() => {
+  const overlay  = document.getElementById('tag-modal');
+  const btnClose = document.getElementById('tag-close');
+  const tagInput = document.getElementById('tag-input');
+  const btnAdd   = document.getElementById('tag-add');
+  const tagList  = document.getElementById('tag-list');
+
+  let note     = null;
+  let onUpdate = null;
+
+  function open(n, cb) {
+    note     = n;
+    onUpdate = cb;
+    render();
+    overlay.classList.remove('hidden');
+    tagInput.value = '';
+  }
+
+  function close() { overlay.classList.add('hidden'); }
+
+  function render() {
+    tagList.innerHTML = '';
+    const allTags = NotesManager.getAllTags();
+    if (allTags.length === 0) {
+      tagList.innerHTML = '<span style="color:var(--text-muted);font-size:0.8rem">Aún no hay tags. ¡Crea el primero!</span>';
+      return;
+    }
+    allTags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip' + (note && note.tags.includes(tag) ? ' active' : '');
+      chip.textContent = tag;
+      chip.style.cursor = 'pointer';
+      if (note && note.tags.includes(tag)) chip.style.outline = '2px solid var(--accent)';
+      chip.addEventListener('click', () => {
+        if (!note) return;
+        if (note.tags.includes(tag)) note.tags = note.tags.filter(t => t !== tag);
+        else note.tags.push(tag);
+        if (onUpdate) onUpdate();
+        render();
+      });
+      tagList.appendChild(chip);
+    });
+  }
+
+  btnAdd.addEventListener('click', () => {
+    const val = tagInput.value.trim().toLowerCase().replace(/\s+/g,'-');
+    if (!val || !note) return;
+    if (!note.tags.includes(val)) note.tags.push(val);
+    tagInput.value = '';
+    if (onUpdate) onUpdate();
+    render();
+  });
+
+  tagInput.addEventListener('keydown', e => { if (e.key === 'Enter') btnAdd.click(); });
+  btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  return { open };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: HISTORY MODAL
+   Línea de tiempo, diferencias y restauración
+══════════════════════════════════════════ */
+const HistoryModal = (() => {
+  const overlay    = document.getElementById('history-modal');
+  const btnClose   = document.getElementById('history-close');
+  const btnSave    = document.getElementById('history-save');
+  const listEl     = document.getElementById('history-list');
+  const baseSelect = document.getElementById('history-base');
+  const modeSelect = document.getElementById('history-mode');
+  const diffEl     = document.getElementById('history-diff');
+  const btnRestore = document.getElementById('history-restore');
+  const btnFork    = document.getElementById('history-fork');
+
+  let note      = null;
+  let revisions = [];
+  let selected  = null;
+
+  function formatDate(ts) {
+    return new Date(ts).toLocaleString('es-ES', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+  }
+
+  async function open(n) {
+    note = n;
+    overlay.classList.remove('hidden');
+    await load();
+  }
+
+  function close() { overlay.classList.add('hidden'); }
+
+  async function load() {
+    revisions = await Revisions.list(note.id);
+    selected  = revisions[0] || null;
+    renderList();
+    renderBaseOptions();
+    renderDiff();
+  }
+
+  function renderList() {
+    listEl.innerHTML = '';
+    if (revisions.length === 0) {
+      listEl.innerHTML = '<span style="color:var(--text-muted);font-size:0.8rem">Aún no hay versiones guardadas.</span>';
+      return;
+    }
+    revisions.forEach(rev => {
+      const item = document.createElement('button');
+      item.className = 'history-item' + (rev === selected ? ' active' : '');
+      item.innerHTML = '<strong></strong><span></span>';
+      item.querySelector('strong').textContent = formatDate(rev.createdAt);
+      item.querySelector('span').textContent   = `${Revisions.label(rev)} · ${Syllables.countWords(TextTools.fromHTML(rev.content))} palabras`;
+      item.addEventListener('click', () => {
+        selected = rev;
+        renderList();
+        renderBaseOptions();
+        renderDiff();
+      });
+      listEl.appendChild(item);
+    });
+  }
+
+  /** "Comparar con": la versión actual de la nota o cualquier otra versión */
+  function renderBaseOptions() {
+    const prev = baseSelect.value || 'current';
+    baseSelect.innerHTML = '<option value="current">Versión actual</option>' +
+      revisions.filter(r => r !== selected)
+        .map(r => `<option value="${r.id}">${formatDate(r.createdAt)} · ${Revisions.label(r)}</option>`).join('');
+    baseSelect.value = [...baseSelect.options].some(o => o.value === prev) ? prev : 'current';
+    btnRestore.disabled = btnFork.disabled = !selected;
+  }
+
+  /** Diferencias de la más antigua a la más reciente de las dos versiones elegidas */
+  function renderDiff() {
+    if (!selected) { diffEl.innerHTML = ''; return; }
+    const base = baseSelect.value === 'current'
+      ? { content: note.content, createdAt: Infinity }
+      : revisions.find(r => r.id === baseSelect.value);
+    const [older, newer] = base.createdAt < selected.createdAt ? [base, selected] : [selected, base];
+    const a = TextTools.fromHTML(older.content), b = TextTools.fromHTML(newer.content);
+
+    if (modeSelect.value === 'words') {
+      diffEl.innerHTML = `<div style="white-space:pre-wrap">${Diff.words(a, b).map(op =>
+        op.type === 'same' ? TextTools.escapeHTML(op.text)
+          : `<${op.type === 'add' ? 'ins' : 'del'}>${TextTools.escapeHTML(op.text)}</${op.type === 'add' ? 'ins' : 'del'}>`
+      ).join('')}</div>`;
+    } else {
+      diffEl.innerHTML = Diff.lines(a, b).map(op => {
+        const sign = op.type === 'add' ? '+' : op.type === 'del' ? '−' : ' ';
+        return `<div class="diff-line diff-${op.type}">${sign} ${TextTools.escapeHTML(op.text) || '&nbsp;'}</div>`;
+      }).join('');
+    }
+  }
+
+  btnSave.addEventListener('click', async () => {
+    EditorView.flush();
+    note = EditorView.getCurrentNote();
+    let rev;
+    try {
+      rev = await Revisions.capture(note, 'manual');
+    } catch (err) {
+      Toast.show(err.message, { error: true });
+      return;
+    }
+    Toast.show(rev ? 'Versión guardada' : 'Nada que guardar: la nota está vacía.');
+    await load();
+  });
+
+  // Restaurar: la versión actual queda guardada antes de sustituirla
+  btnRestore.addEventListener('click', async () => {
+    if (!selected) return;
+    EditorView.flush();
+    const current = NotesManager.getById(note.id);
+    // Sin copia de la versión actual no se sustituye
+    try {
+      await Revisions.capture(current, 'restore');
+    } catch (err) {
+      Toast.show(err.message, { error: true });
+      return;
+    }
+    current.title   = selected.title;
+    current.content = selected.content;
+    NotesManager.save(current);
+    close();
+    EditorView.open(current.id);
+    Toast.show('Versión restaurada');
+  });
+
+  // Bifurcar: la versión antigua pasa a ser una nota nueva
+  btnFork.addEventListener('click', () => {
+    if (!selected) return;
+    EditorView.flush();
+    const fork = NotesManager.create(note.type, note.structure);
+    fork.title   = `${selected.title || 'Sin título'} (${formatDate(selected.createdAt)})`;
+    fork.content = selected.content;
+    fork.tags    = [...(note.tags || [])];
+    fork.notebook = note.notebook || null;
+    NotesManager.save(fork);
+    close();
+    EditorView.openNew(fork);
+  });
+
+  baseSelect.addEventListener('change', renderDiff);
+  modeSelect.addEventListener('change', renderDiff);
+  btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  return { open };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: ZIP
+   Lectura y escritura de archivos ZIP sin
+   dependencias (escritura sin compresión)
+══════════════════════════════════════════ */
+const Zip = (() => {
+  const encoder = new TextEncoder();
+
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function dosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  /**
+   * files: [{ name, data: string | Uint8Array }] → Blob.
+   * Método "store": el primer archivo queda sin comprimir al inicio (lo que exige EPUB).
+   */
+  function create(files, type = 'application/zip') {
+    const parts = [], central = [];
+    const { time, date } = dosDateTime(new Date());
+    let offset = 0;
+
+    files.forEach(f => {
+      const name = encoder.encode(f.name);
+      const data = typeof f.data === 'string' ? encoder.encode(f.data) : f.data;
+      const crc  = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);          // nombres en UTF-8
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local.buffer, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const size = central.reduce((sum, c) => sum + c.byteLength, 0);
+    const end  = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end.buffer], { type });
+  }
+
+  async function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('Este navegador no puede descomprimir el ZIP');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /** ArrayBuffer → [{ name, data: Uint8Array }] (admite entradas sin comprimir y deflate) */
+  async function read(buffer) {
+    const view  = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('El archivo no es un ZIP válido');
+
+    const count = view.getUint16(eocd + 10, true);
+    let pos = view.getUint32(eocd + 16, true);
+    const files = [];
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('ZIP dañado');
+      const method   = view.getUint16(pos + 10, true);
+      const size     = view.getUint32(pos + 20, true);
+      const nameLen  = view.getUint16(pos + 28, true);
+      const extraLen = view.getUint16(pos + 30, true);
+      const commLen  = view.getUint16(pos + 32, true);
+      const local    = view.getUint32(pos + 42, true);
+      const name     = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLen));
+
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const raw   = bytes.subarray(start, start + size);
+      if (method !== 0 && method !== 8) throw new Error(`Compresión no soportada en ${name}`);
+      files.push({ name, data: method === 8 ? await inflate(raw) : raw.slice() });
+
+      pos += 46 + nameLen + extraLen + commLen;
+    }
+    return files;
+  }
+
+  return { create, read };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: FILES
+   Descargas y selección de archivos
+══════════════════════════════════════════ */
+const Files = (() => {
+  /** Nombre de archivo seguro a partir de un título */
+  function safeName(title, fallback = 'nota') {
+    return (title || '').replace(/[\\/:*?"<>|]+/g, '').trim() || fallback;
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a   = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** Abre el selector de archivos (o de carpeta); resuelve con la lista elegida (vacía si se cancela) */
+  function pick(accept, multiple = false, directory = false) {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.multiple = multiple;
+      input.webkitdirectory = directory;   // carpeta entera, con subcarpetas
+      input.addEventListener('change', () => resolve([...input.files]));
+      input.addEventListener('cancel', () => resolve([]));
+      // Sin evento cancel (navegadores antiguos): al volver el foco a la página sin
+      // archivos elegidos se da por cancelado; change puede llegar algo después
+      window.addEventListener('focus', () => {
+        setTimeout(() => { if (!input.files.length) resolve([]); }, 1000);
+      }, { once: true });
+      input.click();
+    });
+  }
+
+  return { safeName, download, pick };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: SHARE MODAL
+══════════════════════════════════════════ */
+const ShareModal = (() => {
+  const overlay     = document.getElementById('share-modal');
+  const btnClose    = document.getElementById('share-close');
+  const btnClip     = document.getElementById('share-clipboard');
+  const btnTxt      = document.getElementById('share-txt');
+  const btnPdf      = document.getElementById('share-pdf');
+  const btnChordPro = document.getElementById('share-chordpro');
+  const btnMarkdown = document.getElementById('share-md');
+  const toast       = document.getElementById('share-toast');
+
+  let currentNote = null;
+
+  function getPlainText(note) {
+    const title = note.title || 'Sin título';
+    const text  = TextTools.fromHTML(SongStructure.expandNote(note).content);
+    // Canciones con acordes: cada línea de acordes sobre su letra
+    const content = note.type === 'song' && Chords.hasChords(text)
+      ? Chords.toPlain(text).replace(/\n{3,}/g, '\n\n').trim()
+      : text.replace(/\u00a0/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    return `${title}\n${'─'.repeat(title.length)}\n\n${content}`;
+  }
+
+  /** Contenido para imprimir: las canciones con acordes salen como hoja de acordes */
+  function printableContent(note) {
+    const html = SongStructure.expandNote(note).content;
+    const text = TextTools.fromHTML(html);
+    return note.type === 'song' && Chords.hasChords(text) ? Chords.toHTML(text) : TextTools.sanitizeHTML(html);
+  }
+
+  function open(note) {
+    currentNote = note;
+    btnChordPro.classList.toggle('hidden', note.type !== 'song');
+    overlay.classList.remove('hidden');
+    toast.classList.add('hidden');
+  }
+
+  function close() { overlay.classList.add('hidden'); }
+
+  btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  btnClip.addEventListener('click', async () => {
+    if (!currentNote) return;
+    try {
+      await navigator.clipboard.writeText(getPlainText(currentNote));
+      toast.classList.remove('hidden');
+      setTimeout(() => toast.classList.add('hidden'), 2500);
+    } catch {
+      // Fallback
+      const ta = document.createElement('textarea');
+      ta.value = getPlainText(currentNote);
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      document.body.removeChild(ta);
+      toast.classList.remove('hidden');
+      setTimeout(() => toast.classList.add('hidden'), 2500);
+    }
+  });
+
+  btnTxt.addEventListener('click', () => {
+    if (!currentNote) return;
+    const blob = new Blob([getPlainText(currentNote)], { type: 'text/plain;charset=utf-8' });
+    Files.download(blob, `${Files.safeName(currentNote.title)}.txt`);
+    close();
+  });
+
+  btnChordPro.addEventListener('click', () => {
+    if (!currentNote) return;
+    ChordPro.exportNote(currentNote);
+    close();
+  });
+
+  btnMarkdown.addEventListener('click', () => {
+    if (!currentNote) return;
+    Markdown.exportNote(currentNote);
+    close();
+  });
+
+  btnPdf.addEventListener('click', () => {
+    if (!currentNote) return;
+    close();
+    // Usar el diálogo de impresión del navegador → Guardar como PDF
+    const w = window.open('', '_blank');
+    w.document.write(`
+      <!DOCTYPE html><html><head>
+      <meta charset="UTF-8">
+      <title>${TextTools.escapeHTML(currentNote.title || 'Nota')}</title>
+      <style>
+        body { font-family: Georgia,serif; max-width:600px; margin:40px auto; line-height:1.8; color:#111; }
+        h1 { font-size:1.5rem; border-bottom:1px solid #ccc; padding-bottom:8px; margin-bottom:24px; }
+        .content { white-space: pre-wrap; }
+        .chord { font-weight: bold; font-size: 0.8em; color: #555; }
+        .song-section-marker { font-weight: bold; margin-top: 12px; }
+      </style></head><body>
+      <h1>${TextTools.escapeHTML(currentNote.title || 'Sin título')}</h1>
+      <div class="content">${printableContent(currentNote)}</div>
+      </body></html>`);
+    w.document.close();
+    w.print();
+  });
+
+  return { open, getPlainText };
+})();
+
 
 /* ══════════════════════════════════════════
-   MÓDULO: EDITOR VIEW
+   MÓDULO: STRUCTURE EDITOR
+   Crear y editar estructuras propias
 ══════════════════════════════════════════ */
-const EditorView = (() => {
-  let currentNote = null;
-  let saveTimer   = null;
+const StructureEditor = (() => {
+  const overlay    = document.getElementById('structure-editor-modal');
+  const heading    = document.getElementById('structure-editor-title');
+  const nameInput  = document.getElementById('structure-name');
+  const stanzaList = document.getElementById('structure-stanzas');
+  const btnAdd     = document.getElementById('structure-add-stanza');
+  const repeatBox  = document.getElementById('structure-repeat');
+  const errorEl    = document.getElementById('structure-error');
+  const btnSave    = document.getElementById('structure-save');
+  const btnCancel  = document.getElementById('structure-cancel');
+  const btnClose   = document.getElementById('structure-editor-close');
+
+  let editing = null;
+  let onSave  = null;
+
+  /** struct: la estructura a editar, una copia sin guardar o nada para empezar de cero */
+  function open(struct, cb) {
+    editing = struct || null;
+    onSave  = cb;
+    // Una copia sin guardar todavía no tiene id: es una estructura nueva
+    heading.textContent = editing && editing.id ? 'Editar estructura' : 'Nueva estructura';
+    nameInput.value     = editing ? editing.name : '';
+    repeatBox.checked   = !!(editing && editing.stanzas[0] && editing.stanzas[0].repeat);
+    stanzaList.innerHTML = '';
+    (editing ? editing.stanzas : [{ label: '', verses: 4 }]).forEach(addRow);
+    errorEl.classList.add('hidden');
+    overlay.classList.remove('hidden');
+    nameInput.focus();
+  }
 
-  // Elementos
-  const viewList   = document.getElementById('view-list');
-  const viewEditor = document.getElementById('view-editor');
-  const btnBack    = document.getElementById('btn-back');
-  const btnFav     = document.getElementById('btn-fav');
-  const btnTags    = document.getElementById('btn-tags');
-  const btnShare   = document.getElementById('btn-share');
-  const titleInput = document.getElementById('note-title');
-  const editor     = document.getElementById('note-editor');
-  const songToolbar= document.getElementById('song-toolbar');
-  const poemGuide  = document.getElementById('poem-guide');
-  const typeBadge  = document.getElementById('editor-type-badge');
-  const noteTagsBar= document.getElementById('note-tags-bar');
+  function close() { overlay.classList.add('hidden'); }
 
-  // Stats
-  const statWords  = document.getElementById('stat-words');
-  const statSyl    = document.getElementById('stat-syllables');
-  const statChars  = document.getElementById('stat-chars');
+  function addRow(st) {
+    const row = document.createElement('div');
+    row.className = 'structure-stanza-row';
+    row.innerHTML = `
+      <input type="text" class="text-input stanza-label" placeholder="Estrofa (p. ej. Cuarteto)" />
+      <input type="number" min="0" class="text-input stanza-verses" placeholder="Versos (0 = libre)" />
+      <input type="text" class="text-input stanza-meter" placeholder="Sílabas: 8 o 7-11-7-7-11" />
+      <input type="text" class="text-input stanza-rhyme" placeholder="Rima: abbaaccddc" />
+      <button class="btn-icon stanza-remove" aria-label="Quitar estrofa">✕</button>`;
+    // Valores por propiedad, nunca interpolados en el HTML
+    row.querySelector('.stanza-label').value  = st.label || '';
+    row.querySelector('.stanza-verses').value = st.verses != null ? st.verses : '';
+    row.querySelector('.stanza-meter').value  = (st.meter || st.allowed || []).join('-');
+    row.querySelector('.stanza-rhyme').value  = st.rhyme || '';
+    row.querySelector('.stanza-remove').addEventListener('click', () => {
+      if (stanzaList.children.length > 1) row.remove();
+    });
+    stanzaList.appendChild(row);
+  }
 
-  // Métrica
-  const metricSyl  = document.getElementById('metric-syllables');
-  const metricType = document.getElementById('metric-type');
+  /** Lee el formulario; retorna la estructura o lanza un Error con el mensaje para el usuario */
+  function readForm() {
+    const name = nameInput.value.trim();
+    if (!name) throw new Error('Ponle un nombre a la estructura.');
+
+    const rows = [...stanzaList.children];
+    const stanzas = rows.map((row, i) => {
+      const label  = row.querySelector('.stanza-label').value.trim() || (rows.length > 1 ? `Estrofa ${i + 1}` : name);
+      const verses = parseInt(row.querySelector('.stanza-verses').value, 10) || 0;
+      const meterRaw = row.querySelector('.stanza-meter').value.trim();
+      const rhyme  = row.querySelector('.stanza-rhyme').value.replace(/\s+/g, '');
+
+      let meter = meterRaw ? meterRaw.split(/[\s,\-·]+/).filter(Boolean).map(Number) : [];
+      if (meter.some(n => !Number.isInteger(n) || n < 1 || n > 20)) {
+        throw new Error(`${label}: las sílabas deben ser números entre 1 y 20.`);
+      }
+      if (rhyme && !/^[a-zA-Z]+$/.test(rhyme)) throw new Error(`${label}: la rima solo admite letras (p. ej. ABBA).`);
+
+      const stanza = { label, verses };
+      if (verses > 0) {
+        // Una sola medida vale para todos los versos de la estrofa
+        if (meter.length === 1) meter = Array(verses).fill(meter[0]);
+        if (meter.length && meter.length !== verses) throw new Error(`${label}: indica 1 o ${verses} medidas.`);
+        if (rhyme && rhyme.length !== verses) throw new Error(`${label}: la rima debe tener ${verses} letras.`);
+        if (meter.length) stanza.meter = meter;
+        if (rhyme) stanza.rhyme = rhyme;
+      } else if (meter.length) {
+        stanza.allowed = [...new Set(meter)];
+      }
 
-  function open(noteId) {
-    if (noteId) {
-      currentNote = NotesManager.getById(noteId);
+      const hint = [];
+      if (stanza.rhyme) hint.push(stanza.rhyme);
+      if (stanza.meter) {
+        const uniform = stanza.meter.every(n => n === stanza.meter[0]);
+        hint.push(uniform ? `versos de ${stanza.meter[0]} sílabas` : `${stanza.meter.join('-')} sílabas`);
+      }
+      if (stanza.allowed) hint.push(`Versos de ${stanza.allowed.join(' o ')} sílabas`);
+      stanza.hint = hint.join(' · ') || (verses ? `${verses} versos` : 'Sin medida fija');
+      return stanza;
+    });
+
+    if (stanzas.length === 1 && repeatBox.checked) stanzas[0].repeat = true;
+    return { ...(editing || {}), name, stanzas };
+  }
+
+  btnAdd.addEventListener('click', () => addRow({ label: '', verses: 4 }));
+
+  btnSave.addEventListener('click', () => {
+    try {
+      const saved = Structures.save(readForm());
+      close();
+      if (onSave) onSave(saved);
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.classList.remove('hidden');
     }
-    if (!currentNote) return;
+  });
 
-    // Animar entrada
-    viewList.classList.add('hidden');
-    viewEditor.classList.remove('hidden');
-    viewEditor.classList.add('entering');
-    setTimeout(() => viewEditor.classList.remove('entering'), 300);
+  btnCancel.addEventListener('click', close);
+  btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
 
-    // Poblar editor
-    titleInput.value    = currentNote.title;
-    editor.innerHTML    = currentNote.content;
-    updateFavBtn();
-    updateTypeBadge();
-    renderNoteTagsBar();
-    updateStats();
+  return { open };
+})();
 
-    // Mostrar/ocultar toolbars según tipo
-    if (currentNote.type === 'song') {
-      songToolbar.classList.remove('hidden');
-      poemGuide.classList.add('hidden');
-    } else {
-      songToolbar.classList.add('hidden');
-      renderPoemGuide();
+
+/* ══════════════════════════════════════════
+   MÓDULO: BACKUP
+   Copia completa de la biblioteca (JSON o ZIP)
+   e importación con fusión por id
+══════════════════════════════════════════ */
+const Backup = (() => {
+  const FORMAT  = 'infiniversal-backup';
+  const VERSION = 1;
+  const ENTRY   = 'backup.json';   // nombre del JSON dentro del ZIP
+  const AUDIO   = 'audio/';        // carpeta de los audios dentro del ZIP
+
+  const btnJson   = document.getElementById('backup-export-json');
+  const btnZip    = document.getElementById('backup-export-zip');
+  const btnImport = document.getElementById('backup-import');
+  const conflict  = document.getElementById('backup-conflict');
+
+  function build() {
+    return {
+      format:     FORMAT,
+      version:    VERSION,
+      exportedAt: Date.now(),
+      notes:      NotesManager.getAll(),
+      tags:       NotesManager.getAllTags(),
+      settings:   Settings.get(),
+      structures: Storage.getStructures(),
+      notebooks:  Notebooks.all(),
+      setlists:   Setlists.all()
+    };
+  }
+
+  function stamp() { return new Date().toISOString().slice(0, 10); }
+
+  function toBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  function fromBase64(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+  }
+
+  /** Audios de todas las notas: [{ id, noteId, type, bytes }] */
+  async function audios(notes) {
+    const list = [];
+    for (const note of notes) {
+      for (const memo of note.attachments || []) {
+        const blob = await AudioMemos.blob(memo.id);
+        if (blob) list.push({ id: memo.id, noteId: note.id, type: memo.type, bytes: new Uint8Array(await blob.arrayBuffer()) });
+      }
     }
+    return list;
+  }
 
-    EditorHistory.reset(editor.innerHTML);
-    editor.focus();
+  // En el JSON los audios van en base64; en el ZIP, como archivos aparte
+  async function exportJSON() {
+    const data = build();
+    data.audio = (await audios(data.notes)).map(a => ({ id: a.id, noteId: a.noteId, type: a.type, data: toBase64(a.bytes) }));
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    Files.download(blob, `infiniversal-${stamp()}.json`);
   }
 
-  function openNew(note) {
-    currentNote = note;
-    open(null);
+  async function exportZip() {
+    const data = build();
+    const list = await audios(data.notes);
+    data.audio = list.map(a => ({ id: a.id, noteId: a.noteId, type: a.type, file: AUDIO + a.id }));
+    const blob = Zip.create([
+      { name: ENTRY, data: JSON.stringify(data, null, 2) },
+      ...list.map(a => ({ name: AUDIO + a.id, data: a.bytes }))
+    ]);
+    Files.download(blob, `infiniversal-${stamp()}.zip`);
   }
 
-  function close() {
-    saveNow();
-    viewEditor.classList.add('hidden');
-    viewList.classList.remove('hidden');
-    ListView.render();
+  /** Lee un .json o .zip y devuelve el objeto de copia validado; lanza Error si no sirve */
+  async function parse(file) {
+    let text, files = [];
+    if (/\.zip$/i.test(file.name) || file.type === 'application/zip') {
+      files = await Zip.read(await file.arrayBuffer());
+      const entry = files.find(f => f.name === ENTRY);
+      if (!entry) throw new Error('El ZIP no contiene una copia de Infiniversal.');
+      text = new TextDecoder().decode(entry.data);
+    } else {
+      text = await file.text();
+    }
+
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error('El archivo no es un JSON válido.'); }
+    if (!data || data.format !== FORMAT || !Array.isArray(data.notes)) {
+      throw new Error('El archivo no es una copia de Infiniversal.');
+    }
+    if (data.version > VERSION) {
+      throw new Error('La copia es de una versión más nueva de Infiniversal. Actualiza la app.');
+    }
+    // Audios como bytes, vengan del JSON o del ZIP; los que falten o estén dañados se ignoran
+    data.audio = (Array.isArray(data.audio) ? data.audio : []).map(a => {
+      if (!a || typeof a.id !== 'string') return null;
+      const entry = typeof a.file === 'string' && files.find(f => f.name === a.file);
+      try {
+        const bytes = entry ? entry.data : typeof a.data === 'string' ? fromBase64(a.data) : null;
+        return bytes ? { id: a.id, type: typeof a.type === 'string' ? a.type : 'audio/webm', bytes } : null;
+      } catch { return null; }
+    }).filter(Boolean);
+    return data;
   }
 
-  function saveNow() {
-    if (!currentNote) return;
-    currentNote.title   = titleInput.value.trim();
-    currentNote.content = editor.innerHTML;
-    NotesManager.save(currentNote);
+  /** Datos de un audio adjunto bien formados, o null */
+  function normalizeMemo(a) {
+    if (!a || typeof a.id !== 'string') return null;
+    return {
+      id:        a.id,
+      name:      typeof a.name === 'string' ? a.name : 'Grabación',
+      type:      typeof a.type === 'string' ? a.type : 'audio/webm',
+      duration:  Number(a.duration) || 0,
+      createdAt: Number(a.createdAt) || Date.now()
+    };
   }
 
-  function scheduleSave() {
-    clearTimeout(saveTimer);
-    saveTimer = setTimeout(saveNow, 800);
+  const isMeter = list => Array.isArray(list) && list.every(n => Number.isInteger(n) && n >= 1 && n <= 20);
+
+  /** Estrofa con las mismas reglas que el editor de estructuras, o null */
+  function normalizeStanza(st) {
+    if (!st || typeof st !== 'object' || !Number.isInteger(st.verses) || st.verses < 0) return null;
+    const stanza = { label: typeof st.label === 'string' ? st.label : '', verses: st.verses };
+    if (st.verses > 0) {
+      if (st.meter !== undefined && !(isMeter(st.meter) && st.meter.length === st.verses)) return null;
+      if (st.rhyme !== undefined && !(typeof st.rhyme === 'string' && /^[a-zA-Z]+$/.test(st.rhyme) && st.rhyme.length === st.verses)) return null;
+      if (st.meter) stanza.meter = st.meter;
+      if (st.rhyme) stanza.rhyme = st.rhyme;
+    } else if (st.allowed !== undefined) {
+      if (!isMeter(st.allowed) || !st.allowed.length) return null;
+      stanza.allowed = st.allowed;
+    }
+    if (st.repeat === true) stanza.repeat = true;
+    stanza.hint = typeof st.hint === 'string' ? st.hint : (st.verses ? `${st.verses} versos` : 'Sin medida fija');
+    return stanza;
   }
 
-  function updateFavBtn() {
-    btnFav.textContent = currentNote.favorite ? '★' : '☆';
-    btnFav.classList.toggle('active', currentNote.favorite);
+  /**
+   * Estructura propia bien formada, o null. Si su id es el de una integrada
+   * recibe uno nuevo: si no, quedaría oculta tras la integrada.
+   */
+  function normalizeStructure(st) {
+    if (!st || typeof st.id !== 'string' || typeof st.name !== 'string' || !st.name.trim()) return null;
+    if (!Array.isArray(st.stanzas) || !st.stanzas.length) return null;
+    const stanzas = st.stanzas.map(normalizeStanza);
+    if (stanzas.some(x => !x)) return null;
+    const id = st.id in PoemStructures ? 'custom-' + NotesManager.newId() : st.id;
+    return { id, name: st.name.trim(), stanzas, custom: true };
   }
 
-  function updateTypeBadge() {
-    typeBadge.textContent = currentNote.type === 'poem' ? 'Poesía' : 'Canción';
-    typeBadge.className   = `type-badge ${currentNote.type}`;
+  /**
+   * Nota bien formada con los campos por defecto, o null si no es válida.
+   * Solo se copian los campos conocidos: el resto del archivo se ignora.
+   */
+  function normalizeNote(n) {
+    if (!n || typeof n.id !== 'string' || (n.type !== 'poem' && n.type !== 'song')) return null;
+    const base = NotesManager.create(n.type, typeof n.structure === 'string' ? n.structure : null);
+    return {
+      ...base,
+      id:        n.id,
+      lang:      typeof n.lang === 'string' ? n.lang : base.lang,
+      title:     typeof n.title === 'string' ? n.title : '',
+      content:   typeof n.content === 'string' ? TextTools.sanitizeHTML(n.content) : '',
+      tags:      Array.isArray(n.tags) ? n.tags.filter(t => typeof t === 'string') : [],
+      notebook:  typeof n.notebook === 'string' ? n.notebook : null,
+      form:      typeof n.form === 'string' ? n.form : null,
+      attachments: Array.isArray(n.attachments) ? n.attachments.map(normalizeMemo).filter(Boolean) : [],
+      favorite:  !!n.favorite,
+      createdAt: Number(n.createdAt) || Date.now(),
+      updatedAt: Number(n.updatedAt) || Date.now()
+    };
   }
 
-  function renderNoteTagsBar() {
-    noteTagsBar.innerHTML = '';
-    (currentNote.tags || []).forEach(tag => {
-      const chip = document.createElement('span');
-      chip.className = 'tag-chip removable';
-      chip.textContent = tag;
-      chip.addEventListener('click', () => {
-        currentNote.tags = currentNote.tags.filter(t => t !== tag);
-        NotesManager.save(currentNote);
-        renderNoteTagsBar();
+  /**
+   * Fusiona la copia con la biblioteca.
+   * strategy: 'newer' (conserva el updatedAt más reciente) | 'overwrite' | 'duplicate'
+   * Los ajustes solo se restauran al sobrescribir.
+   */
+  function merge(data, strategy) {
+    const summary = { added: 0, updated: 0, duplicated: 0, kept: 0, invalid: 0 };
+    const audio   = new Map((data.audio || []).map(a => [a.id, a]));
+
+    /**
+     * Guarda la nota con los audios que trae la copia. Los adjuntos sin audio
+     * se quitan, salvo los que ya están en este navegador (local).
+     * copy: los audios reciben ids nuevos, como la nota duplicada.
+     */
+    function saveWithAudio(note, { local = new Set(), copy = false } = {}) {
+      note.attachments = note.attachments.filter(a => audio.has(a.id) || local.has(a.id)).map(a => {
+        if (!audio.has(a.id)) return a;
+        const { bytes, type } = audio.get(a.id);
+        const memo = copy ? { ...a, id: 'au-' + NotesManager.newId() } : a;
+        Storage.saveAttachment({ id: memo.id, noteId: note.id, blob: new Blob([bytes], { type }) });
+        return memo;
       });
-      noteTagsBar.appendChild(chip);
+      Storage.saveNote(note);
+    }
+
+    data.notes.forEach(raw => {
+      const note = normalizeNote(raw);
+      if (!note) { summary.invalid++; return; }
+      const existing = NotesManager.getById(note.id);
+      if (!existing) {
+        saveWithAudio(note);
+        summary.added++;
+      } else if (strategy === 'duplicate') {
+        saveWithAudio({ ...note, id: NotesManager.newId(), title: `${note.title || 'Sin título'} (importada)` }, { copy: true });
+        summary.duplicated++;
+      } else if (strategy === 'overwrite' || note.updatedAt > existing.updatedAt) {
+        const local = new Set((existing.attachments || []).map(a => a.id));
+        // Copia anterior a los audios: se conservan los de la nota
+        if (!Array.isArray(raw.attachments)) note.attachments = existing.attachments || [];
+        const gone = [...local].filter(id => !note.attachments.some(a => a.id === id));
+        if (gone.length) Storage.deleteAttachments(gone);
+        saveWithAudio(note, { local });
+        summary.updated++;
+      } else {
+        summary.kept++;
+      }
     });
+
+    if (Array.isArray(data.structures)) {
+      const current = Storage.getStructures();
+      data.structures.forEach(raw => {
+        const st = normalizeStructure(raw);
+        if (!st) return;
+        const idx = current.findIndex(c => c.id === st.id);
+        if (idx < 0) current.push(st);
+        else if (strategy === 'duplicate') current.push({ ...st, id: 'custom-' + NotesManager.newId(), name: `${st.name} (importada)` });
+        else if (strategy === 'overwrite') current[idx] = st;
+      });
+      Storage.saveStructures(current);
+    }
+
+    // Cuadernos: se añaden los que faltan; al sobrescribir se restauran nombre y orden
+    if (Array.isArray(data.notebooks)) {
+      const current = Notebooks.all();
+      data.notebooks.forEach(book => {
+        if (!book || typeof book.id !== 'string' || typeof book.name !== 'string') return;
+        const clean = { ...book, order: Array.isArray(book.order) ? book.order : [] };
+        const idx = current.findIndex(c => c.id === book.id);
+        if (idx < 0) current.push(clean);
+        else if (strategy === 'overwrite') current[idx] = clean;
+      });
+      Storage.saveNotebooks(current);
+    }
+
+    // Setlists: igual que los cuadernos; los elementos sin nota se descartan
+    if (Array.isArray(data.setlists)) {
+      const current = Setlists.all();
+      data.setlists.forEach(set => {
+        if (!set || typeof set.id !== 'string' || typeof set.name !== 'string') return;
+        const items = (Array.isArray(set.items) ? set.items : [])
+          .filter(item => item && typeof item.noteId === 'string' && NotesManager.getById(item.noteId))
+          .map(item => ({
+            id:       typeof item.id === 'string' ? item.id : Setlists.newItemId(),
+            noteId:   item.noteId,
+            key:      typeof item.key === 'string' ? item.key : '',
+            tempo:    Number(item.tempo) > 0 ? Number(item.tempo) : null,
+            duration: Number(item.duration) > 0 ? Number(item.duration) : null,
+            notes:    typeof item.notes === 'string' ? item.notes : ''
+          }));
+        const clean = { ...set, items };
+        const idx = current.findIndex(c => c.id === set.id);
+        if (idx < 0) current.push(clean);
+        else if (strategy === 'overwrite') current[idx] = clean;
+      });
+      Storage.saveSetlists(current);
+    }
+
+    if (strategy === 'overwrite' && data.settings && typeof data.settings === 'object') {
+      Settings.replace(data.settings);
+    }
+    return summary;
   }
 
-  function renderPoemGuide() {
-    const struct = PoemStructures[currentNote.structure] || null;
-    if (!struct || struct.stanzas[0].verses === 0) {
-      poemGuide.classList.add('hidden');
-      if (struct && struct.stanzas[0].hint) {
-        poemGuide.innerHTML = `<div class="poem-verse-hint">${struct.name}: ${struct.stanzas[0].hint}</div>`;
-        poemGuide.classList.remove('hidden');
-      }
-      return;
+  async function importFile(file, strategy) {
+    try {
+      const summary = merge(await parse(file), strategy);
+      RhymeDictionary.invalidate();
+      ListView.render();
+      const parts = [`${summary.added} nuevas`];
+      if (summary.updated)    parts.push(`${summary.updated} actualizadas`);
+      if (summary.duplicated) parts.push(`${summary.duplicated} duplicadas`);
+      if (summary.kept)       parts.push(`${summary.kept} sin cambios`);
+      if (summary.invalid)    parts.push(`${summary.invalid} no válidas`);
+      Toast.show(`Copia importada: ${parts.join(', ')}.`);
+    } catch (err) {
+      Toast.show(err.message, { error: true });
     }
-    poemGuide.classList.remove('hidden');
-    poemGuide.innerHTML = struct.stanzas.map(st => `
-      <div class="poem-stanza">
-        <div class="poem-stanza-label">${st.label} (${st.verses} versos)</div>
-        <div class="poem-verse-hint">${st.hint}</div>
-      </div>`).join('');
   }
 
-  function updateStats() {
-    const text = editor.innerText || '';
-    const words = Syllables.countWords(text);
-    const syls  = Syllables.countText(text);
-    const chars = text.length;
-    statWords.textContent = `${words} palabra${words !== 1 ? 's' : ''}`;
-    statSyl.textContent   = `${syls} síl.`;
-    statChars.textContent = `${chars} car.`;
+  /** Los audios se leen de IndexedDB: si falla la lectura, se avisa en vez de no hacer nada */
+  function exportHandler(task) {
+    return () => task().catch(err => {
+      console.warn('[Backup] error al exportar:', err);
+      Toast.show('No se pudo exportar la copia.', { error: true });
+    });
   }
 
-  function updateMetric() {
-    // Obtener la línea actual del cursor
-    const sel  = window.getSelection();
-    if (!sel || !sel.rangeCount) return;
-    const range = sel.getRangeAt(0);
-    const node  = range.startContainer;
-    const lineText = (node.textContent || '').split('\n')[0];
-    const syls = Syllables.countLine(lineText.trim());
-    metricSyl.textContent  = `${syls} síl.`;
-    metricType.textContent = syls > 0 ? Syllables.verseName(syls) : '—';
+  btnJson.addEventListener('click', exportHandler(exportJSON));
+  btnZip.addEventListener('click', exportHandler(exportZip));
+  btnImport.addEventListener('click', async () => {
+    const [file] = await Files.pick('.json,.zip,application/json,application/zip');
+    if (file) importFile(file, conflict.value);
+  });
+
+  return { exportJSON, exportZip, importFile };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: CHORDPRO
+   Exportar e importar canciones en formato
+   ChordPro (.cho / .chordpro)
+══════════════════════════════════════════ */
+const ChordPro = (() => {
+  const btnImport = document.getElementById('btn-import-chordpro');
+
+  const MARKER_RE = /^\[\s(.*\S)\s\]$/;
+  const CHORUS_RE = /^(estribillo|coro|chorus)\b/i;
+
+  // Secciones de ChordPro → etiqueta de nuestros marcadores
+  const SECTIONS = {
+    start_of_chorus: 'Estribillo', soc: 'Estribillo',
+    start_of_verse:  'Verso',      sov: 'Verso',
+    start_of_bridge: 'Puente',     sob: 'Puente'
+  };
+  const COMMENTS = ['comment', 'c', 'comment_italic', 'ci', 'comment_box', 'cb'];
+
+  /** Nota de canción → texto ChordPro */
+  function serialize(note) {
+    const text = TextTools.fromHTML(note.content);
+    const out  = [`{title: ${note.title || 'Sin título'}}`];
+    const key  = Chords.keyName(text);
+    if (key) out.push(`{key: ${key}}`);
+    out.push('');
+
+    let inChorus = false;
+    const closeChorus = () => {
+      if (!inChorus) return;
+      // El cierre va pegado a la última línea de letra, no tras los huecos
+      const blanks = [];
+      while (out.length && out[out.length - 1] === '') blanks.push(out.pop());
+      out.push('{end_of_chorus}', ...blanks);
+      inChorus = false;
+    };
+
+    text.split('\n').forEach(line => {
+      const marker = MARKER_RE.exec(line.trim());
+      if (!marker) { out.push(line); return; }
+      closeChorus();
+      if (CHORUS_RE.test(marker[1])) {
+        out.push(`{start_of_chorus: ${marker[1]}}`);
+        inChorus = true;
+      } else {
+        out.push(`{comment: ${marker[1]}}`);
+      }
+    });
+    closeChorus();
+    return out.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
   }
 
-  // ── Eventos del editor ──
-  titleInput.addEventListener('input', scheduleSave);
+  /** Texto ChordPro → { title, text } con marcadores de sección y acordes en línea */
+  function parse(source) {
+    let title = '';
+    const lines = [];
+    source.replace(/\r\n?/g, '\n').split('\n').forEach(raw => {
+      const line = raw.replace(/\s+$/, '');
+      if (/^#/.test(line)) return;   // comentarios del archivo
+      const directive = /^\s*\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}\s*$/i.exec(line);
+      if (!directive) { lines.push(line); return; }
+      const name  = directive[1].toLowerCase();
+      const value = directive[2] || '';
+      if (name === 'title' || name === 't') title = title || value;
+      else if (SECTIONS[name]) lines.push(`[ ${value || SECTIONS[name]} ]`);
+      else if (COMMENTS.includes(name) && value) lines.push(`[ ${value} ]`);
+      // Resto de directivas (fin de sección, key, tempo...) no tienen equivalente
+    });
+    return { title, text: lines.join('\n').replace(/^\n+|\n+$/g, '') };
+  }
 
-  editor.addEventListener('input', () => {
-    updateStats();
-    updateMetric();
-    EditorHistory.save(editor.innerHTML);
-    scheduleSave();
-  });
+  /** Líneas de texto → HTML del editor (los marcadores vuelven a ser spans) */
+  function toEditorHTML(text) {
+    const esc = TextTools.escapeHTML;
+    return text.split('\n').map(line => {
+      if (MARKER_RE.test(line.trim())) return `<div><span class="song-section-marker">${esc(line.trim())}</span></div>`;
+      return `<div>${line ? esc(line) : '<br>'}</div>`;
+    }).join('');
+  }
 
-  editor.addEventListener('keyup', updateMetric);
-  editor.addEventListener('click', updateMetric);
+  function exportNote(note) {
+    const blob = new Blob([serialize(SongStructure.expandNote(note))], { type: 'application/x-chordpro;charset=utf-8' });
+    Files.download(blob, `${Files.safeName(note.title)}.cho`);
+  }
 
-  // Selección de texto → métrica
-  document.addEventListener('selectionchange', () => {
-    if (!viewEditor.classList.contains('hidden')) {
-      const sel = window.getSelection();
-      if (sel && sel.toString().trim()) {
-        const syls = Syllables.countText(sel.toString());
-        metricSyl.textContent  = `${syls} síl.`;
-        metricType.textContent = syls > 0 ? Syllables.verseName(syls) : '—';
+  /** Crea una canción nueva por archivo; devuelve las notas creadas */
+  async function importFiles(files) {
+    const created = [];
+    for (const file of files) {
+      const { title, text } = parse(await file.text());
+      if (!text.trim()) continue;
+      const note = NotesManager.create('song');
+      note.notebook = ListView.currentNotebook();
+      note.title   = title || file.name.replace(/\.[^.]+$/, '');
+      note.content = toEditorHTML(text);
+      NotesManager.save(note);
+      created.push(note);
+    }
+    return created;
+  }
+
+  btnImport.addEventListener('click', async () => {
+    const files = await Files.pick('.cho,.chordpro,.crd,.chopro,.pro', true);
+    if (!files.length) return;
+    try {
+      const created = await importFiles(files);
+      ListView.render();
+      if (!created.length) {
+        Toast.show('No se encontró ninguna canción en los archivos.', { error: true });
+      } else if (created.length === 1) {
+        EditorView.open(created[0].id);
+      } else {
+        Toast.show(`${created.length} canciones importadas.`);
       }
+    } catch (err) {
+      Toast.show(`No se pudo importar: ${err.message}`, { error: true });
     }
   });
 
-  // Botón volver
-  btnBack.addEventListener('click', close);
+  return { serialize, parse, exportNote, importFiles };
+})();
+
+
+/* ══════════════════════════════════════════
+   MÓDULO: MARKDOWN
+   Exportar notas a Markdown conservando
+   negritas, cursivas, subrayados, estrofas y
+   secciones; importar .md y .txt (también
+   una carpeta entera) como notas nuevas
+══════════════════════════════════════════ */
+const Markdown = (() => {
+  const btnImport = document.getElementById('btn-import-text');
+  const btnFolder = document.getElementById('btn-import-folder');
+
+  const MARKS     = { B: '**', STRONG: '**', I: '*', EM: '*', U: '<u>' };
+  const MARKER_RE = /^\[\s(.*\S)\s\]$/;
+  const EXTENSIONS = /\.(md|markdown|txt)$/i;
+
+  function escapeInline(text) {
+    return text.replace(/\u00a0/g, ' ').replace(/[\\*_`<]/g, '\\$&');
+  }
+
+  /** Envuelve un trozo de línea; los espacios quedan fuera para que siga siendo Markdown válido */
+  function emphasize(segment, mark) {
+    const m = /^(\s*)(.*?)(\s*)$/.exec(segment);
+    if (!m[2]) return segment;
+    const close = mark === '<u>' ? '</u>' : mark;
+    return `${m[1]}${mark}${m[2]}${close}${m[3]}`;
+  }
+
+  /** Recorre el HTML del editor como TextTools.fromHTML, pero con marcas de formato */
+  function inline(node) {
+    let out = '';
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) { out += escapeInline(child.textContent); return; }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+      if (child.nodeName === 'BR') { out += '\n'; return; }
+      const block = child.nodeName === 'DIV' || child.nodeName === 'P';
+      if (block && out && !out.endsWith('\n')) out += '\n';
+      const mark  = MARKS[child.nodeName];
+      const inner = inline(child);
+      out += mark ? inner.split('\n').map(seg => emphasize(seg, mark)).join('\n') : inner;
+      if (block && out && !out.endsWith('\n')) out += '\n';
+    });
+    return out;
+  }
+
+  /** HTML del editor → cuerpo Markdown (secciones como "## ", versos con salto forzado) */
+  function fromHTML(html) {
+    const doc   = new DOMParser().parseFromString(`<div>${html || ''}</div>`, 'text/html');
+    const lines = inline(doc.body.firstChild).replace(/\n+$/, '').split('\n').map(line => {
+      const marker = MARKER_RE.exec(line.trim());
+      if (marker) return `## ${marker[1]}`;
+      // Que un verso que empieza por "#", "-", "1." o ">" no se lea como bloque
+      return line.replace(/^(\s*)([#>+-])/, '$1\\$2').replace(/^(\s*\d+)\./, '$1\\.');
+    });
+    return lines.map((line, i) => {
+      const next = lines[i + 1];
+      const breaks = line.trim() && !line.startsWith('## ') && next && next.trim() && !next.startsWith('## ');
+      return breaks ? line + '  ' : line;
+    }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function serialize(note) {
+    return `# ${note.title || 'Sin título'}\n\n${fromHTML(note.content)}\n`;
+  }
 
-  // Favorito
-  btnFav.addEventListener('click', () => {
-    if (!currentNote) return;
-    currentNote.favorite = !currentNote.favorite;
-    updateFavBtn();
-    NotesManager.save(currentNote);
-  });
+  function exportNote(note) {
+    const blob = new Blob([serialize(SongStructure.expandNote(note))], { type: 'text/markdown;charset=utf-8' });
+    Files.download(blob, `${Files.safeName(note.title)}.md`);
+  }
 
-  // Tags
-  btnTags.addEventListener('click', () => TagsModal.open(currentNote, () => {
-    renderNoteTagsBar();
-    NotesManager.save(currentNote);
-  }));
+  /** Negritas, cursivas y subrayados de una línea Markdown → HTML del editor */
+  function inlineToHTML(line) {
+    const escaped = [];
+    let html = TextTools.escapeHTML(line.replace(/\\([\\`*_{}\[\]()#+\-.!<>|])/g, (m, c) => `\u0000${escaped.push(c) - 1}\u0000`));
+    html = html
+      .replace(/&lt;u&gt;(.+?)&lt;\/u&gt;/g, '<u>$1</u>')
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, '<b>$1</b>')
+      .replace(/(^|[^\w])__(?=\S)(.+?)__(?![\w])/g, '$1<b>$2</b>')
+      .replace(/\*(?=\S)(.+?)\*/g, '<i>$1</i>')
+      .replace(/(^|[^\w])_(?=\S)(.+?)_(?![\w])/g, '$1<i>$2</i>');
+    return html.replace(/\u0000(\d+)\u0000/g, (m, i) => TextTools.escapeHTML(escaped[i]));
+  }
 
-  // Compartir
-  btnShare.addEventListener('click', () => {
-    saveNow();
-    ShareModal.open(currentNote);
-  });
+  /**
+   * Texto .md o .txt → { title, html, song }.
+   * Las líneas en blanco separan estrofas; los encabezados "#" (Markdown)
+   * y las líneas "[Sección]" vuelven a ser marcadores de sección.
+   * El título sale del primer "# " o de un subrayado "===" / "───"
+   * (el formato con el que exportamos el TXT).
+   */
+  function parse(source, markdown) {
+    const lines = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    let title = '';
+    while (lines.length && !lines[0].trim()) lines.shift();
+    if (markdown && /^#\s+\S/.test(lines[0] || '')) {
+      title = lines.shift().replace(/^#\s+|\s+#*\s*$/g, '');
+    } else if (lines.length > 1 && lines[0].trim() && /^\s*([=─═-])\1{2,}\s*$/.test(lines[1])) {
+      title = lines.shift().trim();
+      lines.shift();
+    }
 
-  // Song section buttons
-  songToolbar.querySelectorAll('.section-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const section = btn.dataset.section;
-      insertSectionMarker(section);
+    let song = false;
+    const out = [];
+    lines.forEach(raw => {
+      const line = markdown ? raw.replace(/( {2,}|\\)$/, '') : raw;
+      if (!line.trim()) { if (out.length && out[out.length - 1] !== '<div><br></div>') out.push('<div><br></div>'); return; }
+      const heading = markdown && /^#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+      const bracket = /^\s*\[\s*([^\[\]]*[^\[\]\s])\s*\]\s*$/.exec(line);
+      const section = heading ? heading[1] : bracket && !Chords.parse(bracket[1]) ? bracket[1] : null;
+      if (section) {
+        song = true;
+        out.push(`<div><span class="song-section-marker">[ ${TextTools.escapeHTML(section)} ]</span></div>`);
+        return;
+      }
+      if (Chords.hasChords(line)) song = true;
+      out.push(`<div>${markdown ? inlineToHTML(line) : TextTools.escapeHTML(line)}</div>`);
     });
-  });
+    while (out[out.length - 1] === '<div><br></div>') out.pop();
+    return { title, html: out.join(''), song };
+  }
 
-  function insertSectionMarker(section) {
-    editor.focus();
-    const marker = `<div><span class="song-section-marker">[ ${section} ]</span></div><div><br></div>`;
-    document.execCommand('insertHTML', false, marker);
-    updateStats();
-    scheduleSave();
+  /** Crea una nota por archivo (.md, .markdown o .txt); devuelve las creadas */
+  async function importFiles(files) {
+    const created = [];
+    const texts = files
+      .filter(f => EXTENSIONS.test(f.name))
+      .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, 'es', { numeric: true }));
+    for (const file of texts) {
+      const { title, html, song } = parse(await file.text(), !/\.txt$/i.test(file.name));
+      if (!html) continue;
+      const note = NotesManager.create(song ? 'song' : 'poem');
+      note.notebook = ListView.currentNotebook();
+      note.title   = title || file.name.replace(/\.[^.]+$/, '');
+      note.content = html;
+      NotesManager.save(note);
+      created.push(note);
+    }
+    return created;
   }
 
-  // Rich text buttons
-  document.getElementById('rich-toolbar').querySelectorAll('.fmt-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const cmd = btn.dataset.cmd;
-      if (cmd === 'undo') { const t = EditorHistory.undo(); if (t !== null) { editor.innerHTML = t; updateStats(); scheduleSave(); } }
-      else if (cmd === 'redo') { const t = EditorHistory.redo(); if (t !== null) { editor.innerHTML = t; updateStats(); scheduleSave(); } }
-      else { document.execCommand(cmd, false, null); editor.focus(); }
-    });
-  });
+  async function importPicked(files) {
+    if (!files.length) return;
+    try {
+      const created = await importFiles(files);
+      ListView.render();
+      if (!created.length) {
+        Toast.show('No se encontró ningún texto (.txt o .md) para importar.', { error: true });
+      } else if (created.length === 1) {
+        EditorView.open(created[0].id);
+      } else {
+        Toast.show(`${created.length} notas importadas.`);
+      }
+    } catch (err) {
+      Toast.show(`No se pudo importar: ${err.message}`, { error: true });
+    }
+  }
 
-  // Plain undo/redo
-  document.getElementById('btn-undo').addEventListener('click', () => {
-    const t = EditorHistory.undo();
-    if (t !== null) { editor.innerHTML = t; updateStats(); scheduleSave(); }
+  btnImport.addEventListener('click', async () => {
+    importPicked(await Files.pick('.md,.markdown,.txt,text/plain,text/markdown', true));
   });
-  document.getElementById('btn-redo').addEventListener('click', () => {
-    const t = EditorHistory.redo();
-    if (t !== null) { editor.innerHTML = t; updateStats(); scheduleSave(); }
+
+  btnFolder.addEventListener('click', async () => {
+    importPicked(await Files.pick('', true, true));
   });
 
-  return { open, openNew, close, getCurrentNote: () => currentNote };
+  return { fromHTML, serialize, parse, exportNote, importFiles };
 })();
 
 
 /* ══════════════════════════════════════════
-   MÓDULO: TAGS MODAL
+   MÓDULO: BOOK
+   Compila un cuaderno, un tag o una selección
+   de notas en un manuscrito: portada, índice
+   y un poema por página. HTML imprimible
+   (PDF desde el navegador) y EPUB sin conexión
 ══════════════════════════════════════════ */
-const TagsModal = (() => {
-  const overlay  = document.getElementById('tag-modal');
-  const btnClose = document.getElementById('tag-close');
-  const tagInput = document.getElementById('tag-input');
-  const btnAdd   = document.getElementById('tag-add');
-  const tagList  = document.getElementById('tag-list');
+const Book = (() => {
+  const overlay     = document.getElementById('book-modal');
+  const btnOpen     = document.getElementById('btn-book');
+  const btnClose    = document.getElementById('book-close');
+  const sourceSel   = document.getElementById('book-source');
+  const notesList   = document.getElementById('book-notes');
+  const titleInput  = document.getElementById('book-title');
+  const authorInput = document.getElementById('book-author');
+  const fontSel     = document.getElementById('book-font');
+  const sizeSel     = document.getElementById('book-size');
+  const chordsBox   = document.getElementById('book-chords');
+  const btnPrint    = document.getElementById('book-print');
+  const btnHTML     = document.getElementById('book-html');
+  const btnEpub     = document.getElementById('book-epub');
+  const errorEl     = document.getElementById('book-error');
+
+  const FONTS = {
+    georgia:  'Georgia, "Times New Roman", serif',
+    garamond: '"EB Garamond", Garamond, "Palatino Linotype", serif',
+    palatino: '"Palatino Linotype", Palatino, "Book Antiqua", serif',
+    sans:     '"Helvetica Neue", Helvetica, Arial, sans-serif',
+    mono:     '"Courier New", Courier, monospace'
+  };
 
-  let note     = null;
-  let onUpdate = null;
+  const esc = str => TextTools.escapeHTML(str);
 
-  function open(n, cb) {
-    note     = n;
-    onUpdate = cb;
-    render();
-    overlay.classList.remove('hidden');
-    tagInput.value = '';
+  /* ── Origen de las notas ── */
+
+  /** Notas del origen elegido, en su orden (manual en los cuadernos) */
+  function sourceNotes() {
+    const [kind, value] = sourceSel.value.split(/:(.*)/s);
+    if (kind === 'nb')  return Notebooks.notes(value);
+    if (kind === 'tag') return NotesManager.sort(NotesManager.getAll().filter(n => (n.tags || []).includes(value)), 'title');
+    return NotesManager.sort(NotesManager.getAll(), 'title');
   }
 
-  function close() { overlay.classList.add('hidden'); }
+  function renderSources() {
+    const books = Notebooks.all();
+    const tags  = NotesManager.getAllTags();
+    sourceSel.innerHTML =
+      '<option value="all">Todas las notas</option>' +
+      (books.length ? `<optgroup label="Cuadernos">${books.map(b =>
+        `<option value="nb:${esc(b.id)}">${esc(b.name)}</option>`).join('')}</optgroup>` : '') +
+      (tags.length ? `<optgroup label="Tags">${tags.map(t =>
+        `<option value="tag:${esc(t)}">${esc(t)}</option>`).join('')}</optgroup>` : '');
+    const current = ListView.currentNotebook();
+    if (current) sourceSel.value = `nb:${current}`;
+  }
 
-  function render() {
-    tagList.innerHTML = '';
-    const allTags = NotesManager.getAllTags();
-    if (allTags.length === 0) {
-      tagList.innerHTML = '<span style="color:var(--text-muted);font-size:0.8rem">Aún no hay tags. ¡Crea el primero!</span>';
-      return;
+  function renderNotes() {
+    const notes = sourceNotes();
+    notesList.innerHTML = notes.length
+      ? notes.map(n => `
+        <label class="book-note">
+          <input type="checkbox" value="${esc(n.id)}" checked />
+          <span>${esc(n.title || 'Sin título')}</span>
+        </label>`).join('')
+      : '<p class="modal-subtitle">No hay notas en esta selección.</p>';
+    const book = sourceSel.value.startsWith('nb:') ? Notebooks.get(sourceSel.value.slice(3)) : null;
+    if (book) titleInput.value = book.name;
+    else if (sourceSel.value.startsWith('tag:')) titleInput.value = sourceSel.value.slice(4);
+  }
+
+  function selectedNotes() {
+    const ids = [...notesList.querySelectorAll('input:checked')].map(i => i.value);
+    return ids.map(id => NotesManager.getById(id)).filter(Boolean);
+  }
+
+  /* ── Contenido ── */
+
+  /**
+   * Cuerpo de una nota: estrofas separadas por líneas en blanco,
+   * marcadores de sección como epígrafe y, si se pide, hoja de acordes.
+   */
+  function noteBody(note, withChords) {
+    const text = TextTools.fromHTML(SongStructure.expandNote(note).content);
+    if (note.type === 'song' && withChords && Chords.hasChords(text)) {
+      return `<div class="chords">${Chords.toHTML(text)}</div>`;
     }
-    allTags.forEach(tag => {
-      const chip = document.createElement('span');
-      chip.className = 'tag-chip' + (note && note.tags.includes(tag) ? ' active' : '');
-      chip.textContent = tag;
-      chip.style.cursor = 'pointer';
-      if (note && note.tags.includes(tag)) chip.style.outline = '2px solid var(--accent)';
-      chip.addEventListener('click', () => {
-        if (!note) return;
-        if (note.tags.includes(tag)) note.tags = note.tags.filter(t => t !== tag);
-        else note.tags.push(tag);
-        if (onUpdate) onUpdate();
-        render();
-      });
-      tagList.appendChild(chip);
-    });
+    const clean = text.replace(/\[[^\[\]\s]+\]/g, '');
+    return clean.split(/\n\s*\n/).filter(s => s.trim()).map(stanza =>
+      '<div class="stanza">' + stanza.split('\n').map(line => {
+        const marker = /^\[\s(.*\S)\s\]$/.exec(line.trim());
+        return marker
+          ? `<p class="section">${esc(marker[1])}</p>`
+          : `<p class="verse">${esc(line) || '&#160;'}</p>`;
+      }).join('') + '</div>'
+    ).join('\n');
   }
 
-  btnAdd.addEventListener('click', () => {
-    const val = tagInput.value.trim().toLowerCase().replace(/\s+/g,'-');
-    if (!val || !note) return;
-    if (!note.tags.includes(val)) note.tags.push(val);
-    tagInput.value = '';
-    if (onUpdate) onUpdate();
-    render();
-  });
+  function options() {
+    return {
+      title:  titleInput.value.trim() || 'Sin título',
+      author: authorInput.value.trim(),
+      font:   FONTS[fontSel.value] || FONTS.georgia,
+      size:   sizeSel.value,
+      chords: chordsBox.checked
+    };
+  }
 
-  tagInput.addEventListener('keydown', e => { if (e.key === 'Enter') btnAdd.click(); });
+  function css(o, forPrint) {
+    return `
+      body { font-family: ${o.font}; font-size: ${o.size}; line-height: 1.6; color: #111; margin: 0; }
+      h1, h2 { font-weight: normal; }
+      .cover { text-align: center; padding-top: 30%; }
+      .cover h1 { font-size: 2.2em; margin-bottom: 0.5em; }
+      .cover .author { font-size: 1.2em; font-style: italic; }
+      .toc ol { list-style: none; padding: 0; }
+      .toc li { margin: 0.3em 0; }
+      .toc a { color: inherit; text-decoration: none; }
+      .poem h2 { font-size: 1.3em; margin: 0 0 1.5em; }
+      .stanza { margin: 0 0 1.2em; }
+      .verse { margin: 0; }
+      .section { margin: 0.6em 0 0.2em; font-variant: small-caps; letter-spacing: 0.05em; color: #555; }
+      .chords .chord { font-weight: bold; font-size: 0.8em; color: #555; }
+      ${forPrint ? `
+      @page { size: A5; margin: 2cm 1.8cm; }
+      body { max-width: 34em; margin: 0 auto; padding: 2em; }
+      .cover, .toc, .poem { break-after: page; page-break-after: always; }
+      .cover { min-height: 80vh; }
+      @media print { body { padding: 0; } }` : ''}`;
+  }
+
+  /* ── HTML imprimible ── */
+
+  function buildHTML(notes, o) {
+    const date = new Date().toLocaleDateString('es-ES', { year: 'numeric', month: 'long' });
+    return `<!DOCTYPE html>
+<html lang="${esc(Settings.get().lang)}"><head>
+<meta charset="UTF-8">
+<title>${esc(o.title)}</title>
+<style>${css(o, true)}</style>
+</head><body>
+<section class="cover">
+  <h1>${esc(o.title)}</h1>
+  ${o.author ? `<p class="author">${esc(o.author)}</p>` : ''}
+  <p class="date">${esc(date)}</p>
+</section>
+<nav class="toc">
+  <h2>Índice</h2>
+  <ol>${notes.map((n, i) => `<li><a href="#poema-${i + 1}">${esc(n.title || 'Sin título')}</a></li>`).join('')}</ol>
+</nav>
+${notes.map((n, i) => `<section class="poem" id="poema-${i + 1}">
+  <h2>${esc(n.title || 'Sin título')}</h2>
+  ${noteBody(n, o.chords)}
+</section>`).join('\n')}
+</body></html>`;
+  }
+
+  /* ── EPUB 3 (con toc.ncx para lectores antiguos) ── */
+
+  function xhtml(title, body, lang) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head><meta charset="UTF-8"/><title>${esc(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body>${body}</body>
+</html>`;
+  }
+
+  /** XHTML no conoce &nbsp; */
+  function toXML(html) {
+    return html.replace(/&nbsp;/g, '&#160;').replace(/<br>/g, '<br/>');
+  }
+
+  function buildEpub(notes, o) {
+    const lang = esc(Settings.get().lang);
+    const uid  = 'urn:uuid:' + (crypto.randomUUID ? crypto.randomUUID() : NotesManager.newId());
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const chapters = notes.map((n, i) => ({ file: `poema-${i + 1}.xhtml`, title: n.title || 'Sin título', note: n }));
+
+    const files = [
+      { name: 'mimetype', data: 'application/epub+zip' },
+      { name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>` },
+      { name: 'OEBPS/style.css', data: css(o, false) + `
+      .cover, .poem { page-break-after: always; }` },
+      { name: 'OEBPS/cover.xhtml', data: xhtml(o.title, `<section class="cover">
+  <h1>${esc(o.title)}</h1>${o.author ? `<p class="author">${esc(o.author)}</p>` : ''}
+</section>`, lang) },
+      { name: 'OEBPS/nav.xhtml', data: xhtml('Índice', `<nav epub:type="toc" id="toc" class="toc">
+  <h2>Índice</h2>
+  <ol>${chapters.map(c => `<li><a href="${c.file}">${esc(c.title)}</a></li>`).join('')}</ol>
+</nav>`, lang) },
+      { name: 'OEBPS/toc.ncx', data: `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head><meta name="dtb:uid" content="${uid}"/></head>
+  <docTitle><text>${esc(o.title)}</text></docTitle>
+  <navMap>${chapters.map((c, i) => `
+    <navPoint id="np-${i + 1}" playOrder="${i + 1}"><navLabel><text>${esc(c.title)}</text></navLabel><content src="${c.file}"/></navPoint>`).join('')}
+  </navMap>
+</ncx>` },
+      ...chapters.map(c => ({
+        name: `OEBPS/${c.file}`,
+        data: xhtml(c.title, `<section class="poem"><h2>${esc(c.title)}</h2>${toXML(noteBody(c.note, o.chords))}</section>`, lang)
+      })),
+      { name: 'OEBPS/content.opf', data: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="bookid">${uid}</dc:identifier>
+    <dc:title>${esc(o.title)}</dc:title>
+    ${o.author ? `<dc:creator>${esc(o.author)}</dc:creator>` : ''}
+    <dc:language>${lang}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+    ${chapters.map((c, i) => `<item id="p${i + 1}" href="${c.file}" media-type="application/xhtml+xml"/>`).join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="cover"/>
+    <itemref idref="nav"/>
+    ${chapters.map((c, i) => `<itemref idref="p${i + 1}"/>`).join('\n    ')}
+  </spine>
+</package>` }
+    ];
+    // mimetype debe ser el primer archivo y sin comprimir (Zip.create no comprime)
+    return Zip.create(files, 'application/epub+zip');
+  }
+
+  /* ── Acciones ── */
+
+  /** Notas elegidas o null (con aviso) si no hay ninguna */
+  function collect() {
+    const notes = selectedNotes();
+    errorEl.classList.toggle('hidden', notes.length > 0);
+    if (!notes.length) errorEl.textContent = 'Selecciona al menos una nota.';
+    return notes.length ? notes : null;
+  }
+
+  function open() {
+    renderSources();
+    renderNotes();
+    errorEl.classList.add('hidden');
+    overlay.classList.remove('hidden');
+  }
+
+  function close() { overlay.classList.add('hidden'); }
+
+  btnOpen.addEventListener('click', open);
   btnClose.addEventListener('click', close);
   overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  sourceSel.addEventListener('change', renderNotes);
 
-  return { open };
+  btnPrint.addEventListener('click', () => {
+    const notes = collect();
+    if (!notes) return;
+    const w = window.open('', '_blank');
+    if (!w) { Toast.show('El navegador bloqueó la ventana de impresión.', { error: true }); return; }
+    w.document.write(buildHTML(notes, options()));
+    w.document.close();
+    w.focus();
+    w.print();
+  });
+
+  btnHTML.addEventListener('click', () => {
+    const notes = collect();
+    if (!notes) return;
+    const o = options();
+    Files.download(new Blob([buildHTML(notes, o)], { type: 'text/html;charset=utf-8' }), `${Files.safeName(o.title, 'libro')}.html`);
+  });
+
+  btnEpub.addEventListener('click', () => {
+    const notes = collect();
+    if (!notes) return;
+    const o = options();
+    Files.download(buildEpub(notes, o), `${Files.safeName(o.title, 'libro')}.epub`);
+  });
+
+  return { open, buildHTML, buildEpub };
 })();
 
 
 /* ══════════════════════════════════════════
-   MÓDULO: SHARE MODAL
+   MÓDULO: SETLIST MODAL
+   Edición de un setlist: canciones en orden
+   (arrastrándolas), datos de cada actuación,
+   duración total, impresión y modo actuación
 ══════════════════════════════════════════ */
-const ShareModal = (() => {
-  const overlay     = document.getElementById('share-modal');
-  const btnClose    = document.getElementById('share-close');
-  const btnClip     = document.getElementById('share-clipboard');
-  const btnTxt      = document.getElementById('share-txt');
-  const btnPdf      = document.getElementById('share-pdf');
-  const toast       = document.getElementById('share-toast');
+const SetlistModal = (() => {
+  const overlay   = document.getElementById('setlist-modal');
+  const btnClose  = document.getElementById('setlist-close');
+  const nameEl    = document.getElementById('setlist-name');
+  const totalEl   = document.getElementById('setlist-total');
+  const itemsEl   = document.getElementById('setlist-items');
+  const addSelect = document.getElementById('setlist-add-note');
+  const btnAdd    = document.getElementById('setlist-add');
+  const btnPlay   = document.getElementById('setlist-play');
+  const btnPrint  = document.getElementById('setlist-print');
+  const btnRename = document.getElementById('setlist-rename');
+  const btnDelete = document.getElementById('setlist-delete');
+
+  const esc = str => TextTools.escapeHTML(str);
+
+  let currentId = null;
+  let dragged   = null;   // id del elemento que se arrastra
+
+  function renderTotal() {
+    totalEl.textContent = Setlists.totalLabel(currentId);
+  }
 
-  let currentNote = null;
+  function render() {
+    const set = Setlists.get(currentId);
+    nameEl.textContent = set.name;
+    const items = Setlists.items(currentId);
+    itemsEl.innerHTML = items.length ? items.map((item, i) => `
+      <div class="setlist-item" draggable="true" data-id="${esc(item.id)}" data-index="${i}">
+        <span class="setlist-pos">${i + 1}</span>
+        <span class="setlist-title">${esc(item.note.title || 'Sin título')}</span>
+        <input type="text" class="text-input" data-field="key" value="${esc(item.key)}"
+               placeholder="${esc(Chords.keyName(TextTools.fromHTML(item.note.content)) || 'Tono')}" aria-label="Tono" style="width:4em" />
+        <input type="number" class="text-input" data-field="tempo" value="${item.tempo || ''}" min="30" max="300"
+               placeholder="BPM" aria-label="Tempo" style="width:5em" />
+        <input type="text" class="text-input" data-field="duration" value="${item.duration ? TextTools.formatDuration(item.duration) : ''}"
+               placeholder="m:ss" aria-label="Duración" style="width:4.5em" />
+        <input type="text" class="text-input" data-field="notes" value="${esc(item.notes)}"
+               placeholder="Notas (cejilla, a capela...)" aria-label="Notas" />
+        <button class="btn-icon setlist-move" data-dir="-1" aria-label="Subir" title="Subir">↑</button>
+        <button class="btn-icon setlist-move" data-dir="1" aria-label="Bajar" title="Bajar">↓</button>
+        <button class="btn-icon setlist-perform" data-index="${i}" aria-label="Actuar desde aquí" title="Actuar desde aquí">▷</button>
+        <button class="btn-icon setlist-remove" data-index="${i}" aria-label="Quitar del setlist" title="Quitar del setlist">✕</button>
+      </div>`).join('')
+      : '<p class="modal-subtitle">Añade canciones con el selector de abajo.</p>';
+    renderTotal();
+  }
 
-  function getPlainText(note) {
-    const title = note.title || 'Sin título';
-    const content = (note.content || '').replace(/<[^>]+>/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
-    return `${title}\n${'─'.repeat(title.length)}\n\n${content}`;
+  function renderAddSelect() {
+    const songs = NotesManager.sort(NotesManager.getAll().filter(n => n.type === 'song'), 'title');
+    addSelect.innerHTML = songs.length
+      ? songs.map(n => `<option value="${esc(n.id)}">${esc(n.title || 'Sin título')}</option>`).join('')
+      : '<option value="">No hay canciones</option>';
+    btnAdd.disabled = !songs.length;
   }
 
-  function open(note) {
-    currentNote = note;
+  function open(id) {
+    if (!Setlists.get(id)) return;
+    currentId = id;
+    renderAddSelect();
+    render();
     overlay.classList.remove('hidden');
-    toast.classList.add('hidden');
   }
 
-  function close() { overlay.classList.add('hidden'); }
+  function close() {
+    overlay.classList.add('hidden');
+    ListView.render();
+  }
+
+  /** Valor de un campo tal como se guarda: duración en segundos, tempo numérico */
+  function fieldValue(input) {
+    const value = input.value.trim();
+    if (input.dataset.field === 'duration') return TextTools.parseDuration(value);
+    if (input.dataset.field === 'tempo') return Number(value) > 0 ? Number(value) : null;
+    return value;
+  }
+
+  function perform(start) {
+    const entries = Setlists.items(currentId).map(item => ({
+      note: item.note, key: item.key, bpm: item.tempo, duration: item.duration, notes: item.notes
+    }));
+    if (!entries.length) return;
+    close();
+    Performance.openSet(entries, start);
+  }
 
   btnClose.addEventListener('click', close);
   overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
 
-  btnClip.addEventListener('click', async () => {
-    if (!currentNote) return;
-    try {
-      await navigator.clipboard.writeText(getPlainText(currentNote));
-      toast.classList.remove('hidden');
-      setTimeout(() => toast.classList.add('hidden'), 2500);
-    } catch {
-      // Fallback
-      const ta = document.createElement('textarea');
-      ta.value = getPlainText(currentNote);
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand('copy');
-      document.body.removeChild(ta);
-      toast.classList.remove('hidden');
-      setTimeout(() => toast.classList.add('hidden'), 2500);
+  btnAdd.addEventListener('click', () => {
+    if (!addSelect.value) return;
+    Setlists.addNote(currentId, addSelect.value);
+    render();
+    itemsEl.scrollTop = itemsEl.scrollHeight;
+  });
+
+  itemsEl.addEventListener('change', e => {
+    const input = e.target.closest('input[data-field]');
+    if (!input) return;
+    const value = fieldValue(input);
+    Setlists.updateItem(currentId, input.closest('.setlist-item').dataset.id, { [input.dataset.field]: value });
+    if (input.dataset.field === 'duration') {
+      input.value = value ? TextTools.formatDuration(value) : '';
+      renderTotal();
     }
   });
 
-  btnTxt.addEventListener('click', () => {
-    if (!currentNote) return;
-    const blob = new Blob([getPlainText(currentNote)], { type: 'text/plain;charset=utf-8' });
-    const url  = URL.createObjectURL(blob);
-    const a    = document.createElement('a');
-    a.href     = url;
-    a.download = `${currentNote.title || 'nota'}.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
-    close();
+  itemsEl.addEventListener('click', e => {
+    const remove = e.target.closest('.setlist-remove');
+    if (remove) { Setlists.removeItem(currentId, remove.closest('.setlist-item').dataset.id); render(); return; }
+    const play = e.target.closest('.setlist-perform');
+    if (play) perform(Number(play.dataset.index));
+    const move = e.target.closest('.setlist-move');
+    if (move) {
+      // Se intercambia con la fila vecina que se ve en pantalla
+      const row    = move.closest('.setlist-item');
+      const target = move.dataset.dir === '1' ? row.nextElementSibling : row.previousElementSibling;
+      if (!target) return;
+      Setlists.moveItem(currentId, row.dataset.id, target.dataset.id, move.dataset.dir === '1');
+      render();
+    }
   });
 
-  btnPdf.addEventListener('click', () => {
-    if (!currentNote) return;
-    close();
-    // Usar el diálogo de impresión del navegador → Guardar como PDF
+  // Arrastrar una canción encima de otra: en su mitad inferior queda detrás
+  itemsEl.addEventListener('dragstart', e => {
+    const row = e.target.closest('.setlist-item');
+    if (!row) return;
+    dragged = row.dataset.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged);
+    row.classList.add('dragging');
+  });
+  itemsEl.addEventListener('dragend', e => {
+    dragged = null;
+    e.target.closest('.setlist-item')?.classList.remove('dragging');
+  });
+  itemsEl.addEventListener('dragover', e => {
+    const row = e.target.closest('.setlist-item');
+    if (dragged === null || !row || row.dataset.id === dragged) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+  itemsEl.addEventListener('drop', e => {
+    e.preventDefault();
+    const row = e.target.closest('.setlist-item');
+    if (dragged === null || !row || row.dataset.id === dragged) return;
+    const rect  = row.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    Setlists.moveItem(currentId, dragged, row.dataset.id, after);
+    dragged = null;
+    render();
+  });
+
+  btnPlay.addEventListener('click', () => perform(0));
+
+  btnPrint.addEventListener('click', () => {
     const w = window.open('', '_blank');
-    w.document.write(`
-      <!DOCTYPE html><html><head>
-      <meta charset="UTF-8">
-      <title>${currentNote.title || 'Nota'}</title>
-      <style>
-        body { font-family: Georgia,serif; max-width:600px; margin:40px auto; line-height:1.8; color:#111; }
-        h1 { font-size:1.5rem; border-bottom:1px solid #ccc; padding-bottom:8px; margin-bottom:24px; }
-        .content { white-space: pre-wrap; }
-      </style></head><body>
-      <h1>${currentNote.title || 'Sin título'}</h1>
-      <div class="content">${currentNote.content || ''}</div>
-      </body></html>`);
+    if (!w) { Toast.show('El navegador bloqueó la ventana de impresión.', { error: true }); return; }
+    w.document.write(Setlists.printHTML(currentId));
     w.document.close();
+    w.focus();
     w.print();
   });
 
+  btnRename.addEventListener('click', () => {
+    const set = Setlists.get(currentId);
+    const name = (prompt('Nuevo nombre del setlist', set.name) || '').trim();
+    if (!name) return;
+    Setlists.rename(currentId, name);
+    render();
+  });
+
+  btnDelete.addEventListener('click', () => {
+    const set = Setlists.get(currentId);
+    if (!confirm(`¿Eliminar el setlist "${set.name}"? Sus canciones no se borran.`)) return;
+    Setlists.remove(currentId);
+    close();
+  });
+
   return { open };
 })();
 
@@ -1145,9 +6590,64 @@ const NewNoteFlow = (() => {
   const typeCancel   = document.getElementById('type-cancel');
   const structBack   = document.getElementById('poem-structure-back');
   const btnNew       = document.getElementById('btn-new');
+  const structList   = document.getElementById('structure-list');
+  const btnNewStruct = document.getElementById('structure-new');
 
   let chosenType = null;
 
+  /** Lista del selector: integradas (duplicables) y propias (editables) */
+  function renderStructureList() {
+    structList.innerHTML = '';
+    Structures.all().forEach(st => {
+      const item = document.createElement('div');
+      item.className = 'structure-item';
+
+      const btn = document.createElement('button');
+      btn.className = 'structure-btn';
+      btn.dataset.structure = st.id;
+      btn.innerHTML = '<strong></strong><span></span>';
+      btn.querySelector('strong').textContent = st.name;
+      btn.querySelector('span').textContent   = Structures.describe(st);
+      btn.addEventListener('click', () => chooseStructure(st.id));
+      item.appendChild(btn);
+
+      const actions = document.createElement('div');
+      actions.className = 'structure-item-actions';
+      actions.appendChild(actionBtn('⧉', 'Duplicar', () => {
+        const copy = Structures.duplicate(st.id);
+        if (copy) StructureEditor.open(copy, renderStructureList);
+      }));
+      if (st.custom) {
+        actions.appendChild(actionBtn('✎', 'Editar', () => StructureEditor.open(st, renderStructureList)));
+        actions.appendChild(actionBtn('✕', 'Eliminar', () => {
+          if (!confirm(`¿Eliminar la estructura "${st.name}"?`)) return;
+          Structures.remove(st.id);
+          renderStructureList();
+        }));
+      }
+      item.appendChild(actions);
+      structList.appendChild(item);
+    });
+  }
+
+  function actionBtn(icon, label, onClick) {
+    const b = document.createElement('button');
+    b.className = 'btn-icon';
+    b.textContent = icon;
+    b.setAttribute('aria-label', label);
+    b.title = label;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function chooseStructure(structure) {
+    closeStruct();
+    const note = NotesManager.create('poem', structure);
+    note.notebook = ListView.currentNotebook();
+    NotesManager.save(note);
+    EditorView.openNew(note);
+  }
+
   function start() {
     chosenType = null;
     typeModal.classList.remove('hidden');
@@ -1164,25 +6664,19 @@ const NewNoteFlow = (() => {
       if (chosenType === 'song') {
         // Crear nota de canción directamente
         const note = NotesManager.create('song', null);
+        note.notebook = ListView.currentNotebook();
         NotesManager.save(note);
         EditorView.openNew(note);
       } else {
         // Mostrar modal de estructura poética
+        renderStructureList();
         structModal.classList.remove('hidden');
       }
     });
   });
 
-  // Elegir estructura poética
-  structModal.querySelectorAll('.structure-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const structure = btn.dataset.structure;
-      closeStruct();
-      const note = NotesManager.create('poem', structure);
-      NotesManager.save(note);
-      EditorView.openNew(note);
-    });
-  });
+  // Nueva estructura propia
+  btnNewStruct.addEventListener('click', () => StructureEditor.open(null, renderStructureList));
 
   typeCancel.addEventListener('click', closeType);
   structBack.addEventListener('click', () => { closeStruct(); start(); });
@@ -1209,13 +6703,38 @@ const Help = (() => {
 })();
 
 
+/* ══════════════════════════════════════════
+   MÓDULO: TOAST
+   Avisos breves (errores de guardado, etc.)
+══════════════════════════════════════════ */
+const Toast = (() => {
+  const el = document.getElementById('app-toast');
+  let timer = null;
+
+  function show(message, { error = false, duration = error ? 6000 : 2500 } = {}) {
+    el.textContent = message;
+    el.classList.toggle('error', error);
+    el.classList.remove('hidden');
+    clearTimeout(timer);
+    timer = setTimeout(() => el.classList.add('hidden'), duration);
+  }
+
+  el.addEventListener('click', () => el.classList.add('hidden'));
+
+  return { show };
+})();
+
+
 /* ══════════════════════════════════════════
    INIT · Arranque de la aplicación
 ══════════════════════════════════════════ */
-(function init() {
+(async function init() {
   // Aplicar settings guardados
   Settings.init();
 
+  // Abrir la base de notas (y migrar desde localStorage la primera vez)
+  await Storage.init();
+
   // Renderizar lista inicial
   ListView.render();
 
@@ -1231,11 +6750,59 @@ const Help = (() => {
 
 /* ══════════════════════════════════════════
    SERVICE WORKER REGISTRATION
+   Si hay una versión nueva esperando, se avisa
+   con un banner; al pulsar "Recargar" se activa
+   y la página se recarga una sola vez.
 ══════════════════════════════════════════ */
 if ('serviceWorker' in navigator) {
+  const banner    = document.getElementById('update-banner');
+  const btnReload = document.getElementById('update-reload');
+  let waiting = null;
+
+  function showUpdate(worker) {
+    waiting = worker;
+    banner.classList.remove('hidden');
+  }
+
+  // En la primera visita el worker toma el control sin que haya nada que
+  // actualizar: recargar entonces perdería lo escrito antes del guardado
+  const hadController = !!navigator.serviceWorker.controller;
+  let requested = false;
+
+  btnReload.addEventListener('click', () => {
+    btnReload.disabled = true;
+    requested = true;
+    // Guardar lo que haya pendiente en el editor antes de recargar
+    EditorView.flush();
+    if (waiting) waiting.postMessage({ type: 'SKIP_WAITING' });
+    else window.location.reload();
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !(hadController || requested)) return;
+    reloading = true;
+    EditorView.flush();
+    window.location.reload();
+  });
+
   window.addEventListener('load', () => {
     navigator.serviceWorker.register('sw.js')
-      .then(reg => console.log('SW registrado:', reg.scope))
+      .then(reg => {
+        // Sin controlador es la primera instalación: no hay nada que actualizar
+        if (reg.waiting && navigator.serviceWorker.controller) showUpdate(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+          const worker = reg.installing;
+          if (!worker) return;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdate(worker);
+          });
+        });
+        // Las pestañas que pasan días abiertas también buscan versiones nuevas
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') reg.update().catch(() => {});
+        });
+      })
       .catch(err => console.warn('SW error:', err));
   });
 }
@@ -0,0 +1,70 @@
+/**
+ * ════════════════════════════════════════════
+ * INFINIVERSAL · sw.js
+ * Service worker: precarga la app para usarla
+ * sin conexión. Al publicar cambios en
+ * cualquier archivo de SHELL hay que subir
+ * CACHE_VERSION para que los clientes actualicen.
+ * ════════════════════════════════════════════
+ */
+
+'use strict';
+
+const CACHE_PREFIX  = 'infiniversal-';
+const CACHE_VERSION = 'v3';
+const CACHE_NAME    = CACHE_PREFIX + CACHE_VERSION;
+
+// Rutas relativas: la app se sirve desde un subdirectorio (GitHub Pages).
+// Solo archivos que existen: cache.addAll falla entero si falta uno.
+const SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'manifest.json',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+/* ── Instalación: precarga del shell ──
+   No se llama a skipWaiting aquí: la nueva versión
+   espera hasta que el usuario pulse "Recargar". */
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL))
+  );
+});
+
+/* ── Activación: borra las cachés de versiones anteriores ── */
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ── Peticiones: primero la caché, luego la red ── */
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+      if (cached) return cached;
+      return fetch(request).catch(() => {
+        // Sin conexión: cualquier navegación abre la app
+        if (request.mode === 'navigate') return caches.match('index.html');
+        return Response.error();
+      });
+    })
+  );
+});
+
+/* ── Mensajes desde la app ── */
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});